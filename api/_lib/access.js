@@ -0,0 +1,134 @@
+/* eslint-env node */
+import crypto from 'crypto'
+import { ApiError } from './errors.js'
+import { RATE_LIMITS, bucketFor, getLimiterStore } from './rate-limit.js'
+
+// Origins browsers may call the API from (CORS_ORIGINS, comma-separated); `*` allows any
+const ALLOWED_ORIGINS = listSetting(process.env.CORS_ORIGINS || '*')
+// Headers browser clients may send and read
+const ALLOWED_HEADERS = 'Content-Type, X-API-Key, X-Request-Id'
+const EXPOSED_HEADERS = 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After'
+// Forwarded client addresses are only trusted behind a proxy that sets them, as Vercel does
+const TRUST_PROXY = process.env.VERCEL === '1' || process.env.TRUST_PROXY === 'true'
+
+function listSetting(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean)
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest()
+
+/**
+ * Reads API_KEYS: comma-separated keys, each optionally followed by
+ * `:<requests per minute>` to override RATE_LIMIT_KEY_PER_MINUTE. Keys may
+ * contain `:` themselves; only a trailing `:<number>` is a limit. Only
+ * hashes are kept; a key's bucket is named after its hash.
+ */
+function readApiKeys(value = '') {
+  return listSetting(value).map((entry) => {
+    const limit = entry.match(/^(.+):(\d+)$/)
+    const key = limit ? limit[1] : entry
+    const hash = hashKey(key)
+    return {
+      hash,
+      id: `key:${hash.toString('hex').slice(0, 16)}`,
+      perMinute: limit ? Number(limit[2]) : RATE_LIMITS.key
+    }
+  })
+}
+
+const API_KEYS = readApiKeys(process.env.API_KEYS)
+// With API keys configured, keyless requests are refused unless ALLOW_ANONYMOUS=true
+const ALLOW_ANONYMOUS = API_KEYS.length === 0 || process.env.ALLOW_ANONYMOUS === 'true'
+
+/**
+ * Sets the CORS headers for a handler allowing `methods`. The request's
+ * origin is echoed back when CORS_ORIGINS allows it; other origins get no
+ * `Access-Control-Allow-Origin`, so browsers refuse to use the response.
+ */
+export function setCorsHeaders(req, res, methods) {
+  const origin = req.headers.origin
+  if (ALLOWED_ORIGINS.includes('*')) {
+    res.setHeader('Access-Control-Allow-Origin', '*')
+  } else {
+    res.setHeader('Vary', 'Origin')
+    if (origin && ALLOWED_ORIGINS.includes(origin)) {
+      res.setHeader('Access-Control-Allow-Origin', origin)
+    }
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods)
+  res.setHeader('Access-Control-Allow-Headers', ALLOWED_HEADERS)
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS)
+}
+
+/**
+ * Returns the API key of a request, from the `X-API-Key` header or the
+ * `apiKey` query parameter
+ */
+function readApiKey(req) {
+  const header = req.headers['x-api-key']
+  if (typeof header === 'string' && header !== '') return header
+  const query = req.query?.apiKey
+  return typeof query === 'string' && query !== '' ? query : null
+}
+
+/**
+ * Returns the client's IP address
+ */
+export function clientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = req.headers['x-forwarded-for']
+    if (typeof forwarded === 'string' && forwarded !== '') return forwarded.split(',')[0].trim()
+  }
+  return req.socket?.remoteAddress || 'unknown'
+}
+
+/**
+ * Authenticates a request and takes a token from each of its rate limit
+ * buckets: its IP address's, and its key's when it has a valid API key. The
+ * IP limit applies to keyed requests too; a key's limit covers all of its
+ * addresses together. Sets the `X-RateLimit-*` headers for the tighter
+ * bucket (and `Retry-After` when refused). Resolves to an ApiError
+ * (UNAUTHORIZED or RATE_LIMITED) to send, or null when the request may go
+ * ahead. A failing limiter store lets requests through.
+ */
+export async function checkAccess(req, res) {
+  const buckets = [{ id: `ip:${clientIp(req)}`, perMinute: RATE_LIMITS.ip }]
+  const key = readApiKey(req)
+  if (key) {
+    const hash = hashKey(key)
+    const match = API_KEYS.find(entry => crypto.timingSafeEqual(entry.hash, hash))
+    if (!match) {
+      return new ApiError('UNAUTHORIZED', 'Invalid API key')
+    }
+    buckets.push({ id: match.id, perMinute: match.perMinute })
+  } else if (!ALLOW_ANONYMOUS) {
+    return new ApiError('UNAUTHORIZED', 'An API key is required: send it in the X-API-Key header or the apiKey query parameter')
+  }
+
+  // The IP bucket goes first, so a request it refuses does not use up the key's tokens
+  let tightest = null
+  for (const { id, perMinute } of buckets) {
+    if (perMinute === 0) continue
+    let result
+    try {
+      result = await getLimiterStore().take(id, bucketFor(perMinute))
+    } catch (error) {
+      console.error('Rate limit store error:', error)
+      return null
+    }
+    if (!tightest || !result.allowed || result.remaining < tightest.remaining) tightest = result
+    if (!result.allowed) break
+  }
+  if (!tightest) return null
+
+  res.setHeader('X-RateLimit-Limit', String(tightest.limit))
+  res.setHeader('X-RateLimit-Remaining', String(tightest.remaining))
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(tightest.resetMs / 1000)))
+  if (tightest.allowed) return null
+
+  const retryAfter = Math.max(Math.ceil(tightest.retryAfterMs / 1000), 1)
+  res.setHeader('Retry-After', String(retryAfter))
+  return new ApiError('RATE_LIMITED', `Rate limit exceeded: ${tightest.limit} requests per minute. Retry in ${retryAfter}s.`, {
+    data: { retryAfter }
+  })
+}
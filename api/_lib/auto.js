@@ -0,0 +1,83 @@
+/* eslint-env node */
+import { fetchWithLimits, STATIC_LIMITS } from './fetch.js'
+import { scrapeWithPuppeteer, DYNAMIC_LIMITS } from './render.js'
+import { scorePage } from './detect.js'
+import { MIN_TIMEOUT_MS } from './options.js'
+
+// `auto` accepts the render options, used when the page gets rendered; `timeout` covers the fetch and the render
+export const AUTO_LIMITS = {
+  ...DYNAMIC_LIMITS,
+  auto: true
+}
+
+/**
+ * Returns the option limits for a scrape mode
+ */
+export function scrapeLimits(mode) {
+  if (mode === 'dynamic') return DYNAMIC_LIMITS
+  if (mode === 'auto') return AUTO_LIMITS
+  return STATIC_LIMITS
+}
+
+/**
+ * Explains the outcome of a detection in one sentence
+ */
+function describeDetection({ score, threshold, needsRender, signals }) {
+  const details = signals.map(({ detail }) => detail).join('; ')
+  if (needsRender) {
+    return `Score ${score} reached the threshold of ${threshold}: ${details}`
+  }
+  return signals.length > 0
+    ? `Score ${score} is below the threshold of ${threshold}: ${details}`
+    : 'No signs of JavaScript rendering'
+}
+
+/**
+ * Fetches a page statically, scores it (see scorePage) and renders it with
+ * Puppeteer when the score reaches the threshold. Resolves to the static or
+ * rendered page plus `method` (`static` or `puppeteer`) and `detection`,
+ * whose `reason` says why. The static page is kept when there is no time
+ * left to render it or the render fails; `detection.renderError` then holds
+ * the error.
+ */
+export async function scrapeAuto(url, options = {}) {
+  const startedAt = Date.now()
+  const timeout = options.timeout ?? AUTO_LIMITS.defaultTimeout
+
+  const page = await fetchWithLimits(url, { ...options, timeout: Math.min(timeout, STATIC_LIMITS.maxTimeout) })
+  const scored = scorePage(page.html, { expectSelector: options.expectSelector })
+  const detection = { ...scored, reason: describeDetection(scored) }
+  if (!scored.needsRender) {
+    return { ...page, method: 'static', detection }
+  }
+
+  const remaining = timeout - (Date.now() - startedAt)
+  if (remaining < MIN_TIMEOUT_MS) {
+    return {
+      ...page,
+      method: 'static',
+      detection: { ...detection, reason: `${detection.reason}. No time was left to render it.` }
+    }
+  }
+
+  try {
+    const rendered = await scrapeWithPuppeteer(url, { ...options, timeout: remaining })
+    return { ...page, ...rendered, method: 'puppeteer', detection }
+  } catch (error) {
+    return {
+      ...page,
+      method: 'static',
+      detection: { ...detection, reason: `${detection.reason}. Rendering failed, so the static page was kept.`, renderError: error.message }
+    }
+  }
+}
+
+/**
+ * Loads a page the way `mode` says: fetched (`static`), rendered
+ * (`dynamic`) or detected (`auto`, see scrapeAuto)
+ */
+export function loadPage(mode, url, options) {
+  if (mode === 'dynamic') return scrapeWithPuppeteer(url, options)
+  if (mode === 'auto') return scrapeAuto(url, options)
+  return fetchWithLimits(url, options)
+}
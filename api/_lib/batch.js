@@ -0,0 +1,130 @@
+/* eslint-env node */
+import { validateUrl } from './ssrf.js'
+import { ApiError, requestError } from './errors.js'
+import { parseMode } from './options.js'
+import { mapWithConcurrency } from './concurrency.js'
+
+// Server-side bounds for batch options
+export const BATCH_LIMITS = {
+  maxUrls: 100,
+  defaultConcurrency: 3,
+  maxConcurrency: 5
+}
+
+// Whole-batch time budget, leaving headroom under the 60s function maxDuration
+export const BATCH_BUDGET_MS = 50000
+
+const BATCH_KEYS = ['urls', 'concurrency', 'mode']
+
+/**
+ * Splits the batch settings off a request body. Returns the URL list,
+ * concurrency and mode plus the remaining body, which holds the per-page
+ * scrape options for parseScrapeOptions (with a placeholder `url`).
+ */
+export function parseBatchOptions(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' }
+  }
+
+  if ('url' in body) {
+    return { valid: false, error: 'Use `urls` (an array) for batch requests' }
+  }
+
+  const { urls } = body
+  if (!Array.isArray(urls) || urls.length === 0 || urls.length > BATCH_LIMITS.maxUrls) {
+    return { valid: false, error: `\`urls\` must be an array of 1-${BATCH_LIMITS.maxUrls} URLs` }
+  }
+  if (urls.some(url => typeof url !== 'string')) {
+    return { valid: false, error: '`urls` must only contain strings' }
+  }
+
+  const { mode, error: modeError } = parseMode(body.mode)
+  if (modeError) {
+    return { valid: false, error: modeError }
+  }
+
+  let concurrency = BATCH_LIMITS.defaultConcurrency
+  if (body.concurrency !== undefined) {
+    if (!Number.isInteger(body.concurrency) || body.concurrency < 1) {
+      return { valid: false, error: '`concurrency` must be a positive integer' }
+    }
+    concurrency = Math.min(body.concurrency, BATCH_LIMITS.maxConcurrency)
+  }
+
+  // parseScrapeOptions needs a `url`; each batch URL is validated on its own later
+  const scrapeBody = { url: 'batch' }
+  for (const [key, value] of Object.entries(body)) {
+    if (!BATCH_KEYS.includes(key)) scrapeBody[key] = value
+  }
+
+  return { valid: true, urls: urls.map(url => url.trim()), mode, concurrency, scrapeBody }
+}
+
+/**
+ * Scrapes every URL with at most `concurrency` pages in flight. Each URL gets
+ * its own result with `ok` and `error`, so one bad URL never fails the whole
+ * batch; URLs not started within the time budget, or after `signal` aborts,
+ * are marked `skipped`.
+ *
+ * `fetchPage(url, { timeout })` loads one page and resolves to
+ * `{ html, finalUrl, status }`, plus `method` and `detection` in auto mode;
+ * `renderPage(page)` turns a loaded page into the fields reported for it.
+ * `onResult` is called as each URL completes.
+ */
+export async function runBatch(urls, options) {
+  const {
+    concurrency,
+    timeout,
+    budget = BATCH_BUDGET_MS,
+    signal,
+    fetchPage,
+    renderPage = () => ({}),
+    onResult = () => {}
+  } = options
+
+  const startedAt = Date.now()
+  const deadline = startedAt + budget
+
+  const results = await mapWithConcurrency(urls, concurrency, async (url) => {
+    const result = { url, ok: false, finalUrl: null, status: null, error: null, code: null }
+
+    if (signal?.aborted) {
+      return { ...result, skipped: true, error: 'Not started (cancelled)' }
+    }
+    const remaining = deadline - Date.now()
+    if (remaining <= 0) {
+      return { ...result, skipped: true, error: 'Not started (time budget exhausted)' }
+    }
+
+    try {
+      const validation = await validateUrl(url)
+      if (!validation.valid) throw requestError(validation)
+
+      const loaded = await fetchPage(validation.url.href, { timeout: Math.min(timeout, remaining) })
+      result.finalUrl = loaded.finalUrl || validation.url.href
+      result.status = loaded.status ?? null
+      // Auto mode reports how each page was loaded
+      if (loaded.detection) Object.assign(result, { method: loaded.method, detection: loaded.detection })
+      Object.assign(result, renderPage({ html: loaded.html, finalUrl: result.finalUrl }))
+      result.ok = true
+    } catch (error) {
+      result.error = error.message
+      result.code = error instanceof ApiError ? error.code : 'INTERNAL'
+      // Keep the status of pages the server answered with an error code
+      if (error.upstreamStatus) result.status = error.upstreamStatus
+    }
+    onResult(result)
+    return result
+  })
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded: results.filter(result => result.ok).length,
+      failed: results.filter(result => !result.ok && !result.skipped).length,
+      skipped: results.filter(result => result.skipped).length,
+      durationMs: Date.now() - startedAt
+    }
+  }
+}
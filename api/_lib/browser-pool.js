@@ -0,0 +1,214 @@
+/* eslint-env node */
+import puppeteer from 'puppeteer'
+import { ApiError } from './errors.js'
+import { getEgressProxy } from './egress-proxy.js'
+
+// Pool sizing, overridable through the environment
+export const BROWSER_POOL_SIZE = Number(process.env.BROWSER_POOL_SIZE) || 1
+export const MAX_CONCURRENT_PAGES = Number(process.env.BROWSER_MAX_PAGES) || 3
+// A browser is replaced after rendering this many pages, to shed leaked memory
+export const BROWSER_RECYCLE_AFTER = Number(process.env.BROWSER_RECYCLE_AFTER) || 50
+// How long a render waits for a free page before giving up
+export const POOL_WAIT_TIMEOUT_MS = Number(process.env.BROWSER_POOL_WAIT_MS) || 10000
+// How long shutdown waits for open pages before closing browsers anyway
+const SHUTDOWN_GRACE_MS = 5000
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-gpu',
+    '--no-zygote',
+    // Keep cross-site frames in the page's process, where request interception sees them
+    '--disable-features=VizDisplayCompositor,IsolateOrigins,site-per-process',
+    // WebRTC would send UDP around the egress proxy
+    '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+  ]
+}
+
+/**
+ * Launches Chrome with all of its traffic, loopback included, going through
+ * the egress proxy (see startEgressProxy)
+ */
+async function launchChrome() {
+  const { port } = await getEgressProxy()
+  return puppeteer.launch({
+    ...LAUNCH_OPTIONS,
+    args: [...LAUNCH_OPTIONS.args, `--proxy-server=http://127.0.0.1:${port}`, '--proxy-bypass-list=<-loopback>']
+  })
+}
+
+/**
+ * Keeps up to `size` headless Chrome instances running between requests.
+ * Each render gets its own incognito context, so cookies and storage never
+ * leak between requests. At most `maxPages` pages are open at once; further
+ * renders queue for up to `waitTimeout` milliseconds. A browser is retired
+ * once it has served `recycleAfter` pages (after its open pages finish) or
+ * as soon as it crashes or disconnects.
+ */
+export function createBrowserPool({
+  size = BROWSER_POOL_SIZE,
+  maxPages = MAX_CONCURRENT_PAGES,
+  recycleAfter = BROWSER_RECYCLE_AFTER,
+  waitTimeout = POOL_WAIT_TIMEOUT_MS,
+  launch = launchChrome
+} = {}) {
+  const browsers = []
+  const waiting = []
+  let openPages = 0
+  let closing = null
+
+  const retire = (entry) => {
+    const index = browsers.indexOf(entry)
+    if (index !== -1) browsers.splice(index, 1)
+    entry.ready
+      .then(browser => browser.close())
+      .catch(() => {})
+  }
+
+  const launchBrowser = () => {
+    const entry = { active: 0, used: 0, ready: null }
+    entry.ready = launch().catch((error) => {
+      // Missing binaries and system libraries surface here; keep the first line, which names the cause
+      throw new ApiError('BROWSER_UNAVAILABLE', `Chrome unavailable: ${error.message.split('\n')[0]}`, { cause: error })
+    }).then((browser) => {
+      // A crashed browser is dropped; the next render launches a replacement
+      browser.on('disconnected', () => {
+        const index = browsers.indexOf(entry)
+        if (index !== -1) browsers.splice(index, 1)
+      })
+      return browser
+    })
+    // A failed launch is dropped too, so the next render tries again
+    entry.ready.catch(() => {
+      const index = browsers.indexOf(entry)
+      if (index !== -1) browsers.splice(index, 1)
+    })
+    browsers.push(entry)
+    return entry
+  }
+
+  // Picks the least busy browser that is not due for recycling, launching one while below `size`
+  const pickBrowser = () => {
+    const usable = browsers.filter(entry => entry.used < recycleAfter)
+    if (usable.length < size) return launchBrowser()
+    return usable.reduce((best, entry) => (entry.active < best.active ? entry : best))
+  }
+
+  const release = (entry) => {
+    openPages--
+    entry.active--
+    if (entry.used >= recycleAfter && entry.active === 0) retire(entry)
+    const next = waiting.shift()
+    if (next) {
+      clearTimeout(next.timer)
+      openPages++
+      next.resolve()
+    }
+  }
+
+  // Resolves once a page slot is free
+  const acquireSlot = () => {
+    if (closing) {
+      return Promise.reject(new ApiError('BROWSER_BUSY', 'Browser pool is shutting down'))
+    }
+    if (openPages < maxPages) {
+      openPages++
+      return Promise.resolve()
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject }
+      waiter.timer = setTimeout(() => {
+        waiting.splice(waiting.indexOf(waiter), 1)
+        reject(new ApiError('BROWSER_BUSY', `Browser pool busy: no page free within ${waitTimeout}ms`))
+      }, waitTimeout)
+      waiting.push(waiter)
+    })
+  }
+
+  return {
+    /**
+     * Runs `task(page)` on a fresh page in its own incognito context and
+     * closes the context afterwards
+     */
+    async withPage(task) {
+      await acquireSlot()
+      const entry = pickBrowser()
+      entry.active++
+      entry.used++
+
+      let context = null
+      try {
+        const browser = await entry.ready
+        context = await browser.createIncognitoBrowserContext()
+        const page = await context.newPage()
+        return await task(page)
+      } finally {
+        if (context) await context.close().catch(() => {})
+        release(entry)
+      }
+    },
+
+    /**
+     * Launches browsers up to the pool size ahead of the first render
+     */
+    async warm() {
+      while (browsers.length < size) launchBrowser()
+      await Promise.all(browsers.map(entry => entry.ready))
+    },
+
+    /**
+     * Current load, for logs and health checks
+     */
+    stats() {
+      return { browsers: browsers.length, openPages, waiting: waiting.length }
+    },
+
+    /**
+     * Refuses new renders, gives open pages up to SHUTDOWN_GRACE_MS to
+     * finish and closes every browser
+     */
+    close() {
+      if (!closing) {
+        closing = (async () => {
+          for (const waiter of waiting.splice(0)) {
+            clearTimeout(waiter.timer)
+            waiter.reject(new ApiError('BROWSER_BUSY', 'Browser pool is shutting down'))
+          }
+          const deadline = Date.now() + SHUTDOWN_GRACE_MS
+          while (openPages > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 100))
+          }
+          await Promise.all(browsers.splice(0).map(entry => entry.ready
+            .then(browser => browser.close())
+            .catch(() => {})))
+        })()
+      }
+      return closing
+    }
+  }
+}
+
+let pool = null
+
+/**
+ * Returns the browser pool shared by every dynamic render in this process
+ */
+export function getBrowserPool() {
+  if (!pool) {
+    pool = createBrowserPool()
+  }
+  return pool
+}
+
+/**
+ * Closes the shared pool, if one was started. The next render starts a new one.
+ */
+export async function closeBrowserPool() {
+  if (!pool) return
+  const closing = pool
+  pool = null
+  await closing.close()
+}
@@ -0,0 +1,133 @@
+/* eslint-env node */
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+import { normalizeUrl } from './url.js'
+
+// `cache` request option: use the cache, skip it entirely, or never touch the network
+export const CACHE_MODES = ['default', 'bypass', 'only']
+// How long a fetched response is served without revalidation
+export const CACHE_TTL_MS = Number(process.env.CACHE_TTL_MS) || 5 * 60 * 1000 // 5 minutes
+export const MAX_CACHE_TTL_MS = 24 * 60 * 60 * 1000 // 1 day
+// Total body bytes the in-memory cache holds before evicting the least recently used entries
+const MEMORY_CACHE_MAX_BYTES = 50 * 1024 * 1024 // 50MB
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/
+
+/**
+ * Builds the cache key for a fetch: a hash of the normalised URL and every
+ * option that changes what the server sends back (headers, cookies, user
+ * agent and language). Output options such as formats are applied after
+ * the cache, so they share entries.
+ */
+export function cacheKey(url, options = {}) {
+  const sorted = (object = {}) => Object.entries(object)
+    .map(([name, value]) => [name.toLowerCase(), value])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+
+  const parts = [
+    normalizeUrl(url) || url,
+    sorted(options.headers),
+    sorted(options.cookies),
+    options.userAgent || null,
+    options.acceptLanguage || null
+  ]
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex')
+}
+
+/**
+ * Keeps cached responses in process memory, evicting the least recently used
+ * entries once their bodies exceed `maxBytes`
+ */
+export function createMemoryCache(maxBytes = MEMORY_CACHE_MAX_BYTES) {
+  const entries = new Map()
+  let totalBytes = 0
+
+  const remove = (key) => {
+    const entry = entries.get(key)
+    if (!entry) return
+    totalBytes -= entry.body.length
+    entries.delete(key)
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key)
+      if (!entry) return null
+      // Re-insert so iteration order tracks recency
+      entries.delete(key)
+      entries.set(key, entry)
+      return entry
+    },
+    async set(key, entry) {
+      remove(key)
+      if (entry.body.length > maxBytes) return
+      entries.set(key, entry)
+      totalBytes += entry.body.length
+      for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) break
+        remove(oldest)
+      }
+    },
+    async delete(key) {
+      remove(key)
+    }
+  }
+}
+
+/**
+ * Keeps one JSON file per cached response in `dir` (bodies base64-encoded),
+ * so the cache survives a dev server restart
+ */
+export function createFileCache(dir) {
+  const fileFor = (key) => {
+    if (!KEY_PATTERN.test(key)) throw new Error(`Invalid cache key: ${key}`)
+    return path.join(dir, `${key}.json`)
+  }
+  const ready = fs.mkdir(dir, { recursive: true })
+
+  return {
+    async get(key) {
+      await ready
+      try {
+        const { body, ...entry } = JSON.parse(await fs.readFile(fileFor(key), 'utf8'))
+        return { ...entry, body: Buffer.from(body, 'base64') }
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return null
+        throw error
+      }
+    },
+    async set(key, entry) {
+      await ready
+      const file = fileFor(key)
+      const temp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(temp, JSON.stringify({ ...entry, body: entry.body.toString('base64') }))
+      await fs.rename(temp, file)
+    },
+    async delete(key) {
+      await ready
+      await fs.rm(fileFor(key), { force: true })
+    }
+  }
+}
+
+let cache = null
+
+/**
+ * Returns the response cache: a file cache when CACHE_DIR is set, otherwise
+ * an in-memory cache. Other backends (any object with async `get`, `set`
+ * and `delete` taking a key) can be plugged in with setCache.
+ */
+export function getCache() {
+  if (!cache) {
+    cache = process.env.CACHE_DIR ? createFileCache(process.env.CACHE_DIR) : createMemoryCache()
+  }
+  return cache
+}
+
+/**
+ * Replaces the response cache used by fetchResource
+ */
+export function setCache(custom) {
+  cache = custom
+}
@@ -0,0 +1,274 @@
+/* eslint-env node */
+import { ApiError } from './errors.js'
+
+// Device presets for `device`; `viewport` overrides their width and height
+export const DEVICE_PRESETS = {
+  desktop: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  laptop: { width: 1366, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  tablet: {
+    width: 820,
+    height: 1180,
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  mobile: {
+    width: 390,
+    height: 844,
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+  },
+  android: {
+    width: 412,
+    height: 915,
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true,
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36'
+  }
+}
+
+export const IMAGE_TYPES = ['png', 'jpeg', 'webp']
+export const PAPER_FORMATS = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid']
+// `output` returns the JSON report, or one capture as a binary response
+export const OUTPUT_TYPES = ['json', 'screenshot', 'pdf']
+
+export const CAPTURE_LIMITS = {
+  minWidth: 320,
+  maxWidth: 3840,
+  minHeight: 240,
+  maxHeight: 2160,
+  // Full-page screenshots stop at this height
+  maxFullPageHeight: 10000,
+  // Largest capture returned, in bytes before base64 encoding
+  maxCaptureBytes: 3 * 1024 * 1024
+}
+
+export const CAPTURE_KEYS = ['device', 'viewport', 'screenshot', 'pdf', 'output']
+
+// The default screenshot: the top-left 1200x800 of the viewport, as PNG
+const DEFAULT_CLIP = { width: 1200, height: 800 }
+
+const MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp', pdf: 'application/pdf' }
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Validates a pixel dimension, clamped to [min, max]
+ */
+function parseDimension(name, value, min, max) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (!Number.isInteger(number) || number <= 0) {
+    return { error: `\`${name}\` must be a positive integer` }
+  }
+  return { value: Math.min(Math.max(number, min), max) }
+}
+
+/**
+ * Validates the `screenshot` option: `false` to skip it, `true` for the
+ * default, or `{ type, quality, fullPage, selector }`
+ */
+function parseScreenshot(screenshot) {
+  if (screenshot === false) return { screenshot: null }
+  if (screenshot === undefined || screenshot === true) {
+    return { screenshot: { type: 'png', quality: null, fullPage: false, selector: null } }
+  }
+  if (!isPlainObject(screenshot)) {
+    return { error: '`screenshot` must be a boolean or { type, quality, fullPage, selector }' }
+  }
+
+  const { type = 'png', quality, fullPage = false, selector } = screenshot
+  if (!IMAGE_TYPES.includes(type)) {
+    return { error: `\`screenshot.type\` must be one of ${IMAGE_TYPES.join(', ')}` }
+  }
+  if (quality !== undefined && (type === 'png' || !Number.isInteger(quality) || quality < 1 || quality > 100)) {
+    return { error: '`screenshot.quality` must be an integer from 1 to 100, for jpeg or webp' }
+  }
+  if (typeof fullPage !== 'boolean') {
+    return { error: '`screenshot.fullPage` must be a boolean' }
+  }
+  if (selector !== undefined && (typeof selector !== 'string' || selector.trim() === '')) {
+    return { error: '`screenshot.selector` must be a CSS selector string' }
+  }
+  if (fullPage && selector) {
+    return { error: 'Use either `screenshot.fullPage` or `screenshot.selector`, not both' }
+  }
+
+  return { screenshot: { type, quality: quality ?? null, fullPage, selector: selector ? selector.trim() : null } }
+}
+
+/**
+ * Validates the `pdf` option: `true` for A4 portrait, or
+ * `{ format, landscape, printBackground }`
+ */
+function parsePdf(pdf) {
+  if (pdf === undefined || pdf === false) return { pdf: null }
+  const settings = pdf === true ? {} : pdf
+  if (!isPlainObject(settings)) {
+    return { error: '`pdf` must be a boolean or { format, landscape, printBackground }' }
+  }
+
+  const { format = 'A4', landscape = false, printBackground = true } = settings
+  if (!PAPER_FORMATS.includes(format)) {
+    return { error: `\`pdf.format\` must be one of ${PAPER_FORMATS.join(', ')}` }
+  }
+  if (typeof landscape !== 'boolean' || typeof printBackground !== 'boolean') {
+    return { error: '`pdf.landscape` and `pdf.printBackground` must be booleans' }
+  }
+
+  return { pdf: { format, landscape, printBackground } }
+}
+
+/**
+ * Reads the capture options from a GET query string: `device`, `width`,
+ * `height`, `screenshot=false`, `screenshotType`, `quality`, `fullPage`,
+ * `screenshotSelector`, `pdf`, `pdfFormat`, `landscape` and `output`
+ */
+export function captureQuery(query) {
+  const body = {}
+  if (query.device) body.device = query.device
+  if (query.width || query.height) {
+    body.viewport = { ...(query.width && { width: query.width }), ...(query.height && { height: query.height }) }
+  }
+
+  if (query.screenshot === 'false') {
+    body.screenshot = false
+  } else if (query.screenshotType || query.quality || query.fullPage || query.screenshotSelector) {
+    body.screenshot = {
+      ...(query.screenshotType && { type: query.screenshotType }),
+      ...(query.quality && { quality: Number(query.quality) }),
+      ...(query.fullPage && { fullPage: query.fullPage === 'true' }),
+      ...(query.screenshotSelector && { selector: query.screenshotSelector })
+    }
+  }
+
+  if (query.pdf === 'true' || query.pdfFormat || query.landscape) {
+    body.pdf = {
+      ...(query.pdfFormat && { format: query.pdfFormat }),
+      ...(query.landscape && { landscape: query.landscape === 'true' })
+    }
+  }
+
+  if (query.output) body.output = query.output
+  return body
+}
+
+/**
+ * Validates the capture options (see CAPTURE_KEYS): the device and viewport
+ * to emulate, the screenshot and PDF to take, and the `output` of the
+ * request. A binary `output` turns on the capture it names.
+ */
+export function parseCaptureOptions(body) {
+  const device = body.device ?? 'desktop'
+  if (!Object.hasOwn(DEVICE_PRESETS, device)) {
+    return { error: `\`device\` must be one of ${Object.keys(DEVICE_PRESETS).join(', ')}` }
+  }
+  const viewport = { ...DEVICE_PRESETS[device] }
+  delete viewport.userAgent
+
+  if (body.viewport !== undefined) {
+    if (!isPlainObject(body.viewport)) {
+      return { error: '`viewport` must be an object with `width` and/or `height`' }
+    }
+    for (const [name, min, max] of [['width', CAPTURE_LIMITS.minWidth, CAPTURE_LIMITS.maxWidth], ['height', CAPTURE_LIMITS.minHeight, CAPTURE_LIMITS.maxHeight]]) {
+      if (body.viewport[name] === undefined) continue
+      const { value, error } = parseDimension(`viewport.${name}`, body.viewport[name], min, max)
+      if (error) return { error }
+      viewport[name] = value
+    }
+  }
+
+  const output = body.output ?? 'json'
+  if (!OUTPUT_TYPES.includes(output)) {
+    return { error: `\`output\` must be one of ${OUTPUT_TYPES.join(', ')}` }
+  }
+
+  // A PDF download skips the default screenshot
+  const { screenshot, error: screenshotError } = parseScreenshot(output === 'pdf' && body.screenshot === undefined ? false : body.screenshot)
+  if (screenshotError) return { error: screenshotError }
+  if (output === 'screenshot' && !screenshot) {
+    return { error: '`output: "screenshot"` needs a screenshot' }
+  }
+
+  const { pdf, error: pdfError } = parsePdf(output === 'pdf' && body.pdf === undefined ? true : body.pdf)
+  if (pdfError) return { error: pdfError }
+  if (output === 'pdf' && !pdf) {
+    return { error: '`output: "pdf"` needs a PDF' }
+  }
+
+  return {
+    capture: {
+      device,
+      viewport,
+      userAgent: DEVICE_PRESETS[device].userAgent || null,
+      screenshot,
+      pdf,
+      output
+    }
+  }
+}
+
+/**
+ * Throws when a capture exceeds CAPTURE_LIMITS.maxCaptureBytes
+ */
+function checkCaptureSize(name, buffer) {
+  if (buffer.length > CAPTURE_LIMITS.maxCaptureBytes) {
+    throw new ApiError('TOO_LARGE', `${name} too large (${buffer.length} bytes, max ${CAPTURE_LIMITS.maxCaptureBytes} bytes)`)
+  }
+}
+
+/**
+ * Takes the requested screenshot of a rendered page. Resolves to
+ * `{ type, mimeType, body }` with a Buffer body.
+ */
+export async function takeScreenshot(page, settings, viewport) {
+  const options = { type: settings.type, ...(settings.quality && { quality: settings.quality }) }
+  let body
+
+  if (settings.selector) {
+    const element = await page.$(settings.selector)
+    if (!element) {
+      throw new ApiError('ELEMENT_NOT_FOUND', `Screenshot element not found: ${settings.selector}`)
+    }
+    body = await element.screenshot(options)
+  } else if (settings.fullPage) {
+    const height = await page.evaluate(() => document.documentElement.scrollHeight)
+    body = await page.screenshot({
+      ...options,
+      captureBeyondViewport: true,
+      clip: { x: 0, y: 0, width: viewport.width, height: Math.min(height, CAPTURE_LIMITS.maxFullPageHeight) }
+    })
+  } else {
+    body = await page.screenshot({
+      ...options,
+      clip: {
+        x: 0,
+        y: 0,
+        width: Math.min(viewport.width, DEFAULT_CLIP.width),
+        height: Math.min(viewport.height, DEFAULT_CLIP.height)
+      }
+    })
+  }
+
+  checkCaptureSize('Screenshot', body)
+  return { type: settings.type, mimeType: MIME_TYPES[settings.type], body }
+}
+
+/**
+ * Prints a rendered page to PDF. Resolves to `{ type, mimeType, body }`.
+ */
+export async function printPdf(page, settings) {
+  const body = Buffer.from(await page.pdf(settings))
+  checkCaptureSize('PDF', body)
+  return { type: 'pdf', mimeType: MIME_TYPES.pdf, body }
+}
+
+/**
+ * Encodes a capture as a data URL for JSON responses
+ */
+export function toDataUrl(capture) {
+  return capture ? `data:${capture.mimeType};base64,${capture.body.toString('base64')}` : null
+}
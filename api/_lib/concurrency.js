@@ -0,0 +1,21 @@
+/* eslint-env node */
+
+/**
+ * Maps over items with at most `limit` calls of `fn` in flight at once,
+ * preserving the input order in the results
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker)
+  await Promise.all(workers)
+  return results
+}
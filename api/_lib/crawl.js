@@ -0,0 +1,241 @@
+/* eslint-env node */
+import { URL } from 'url'
+import { validateUrl } from './ssrf.js'
+import { ApiError, requestError } from './errors.js'
+import { parseMode } from './options.js'
+import { extractLinks } from './links.js'
+import { mapWithConcurrency } from './concurrency.js'
+import { normalizeUrl } from './url.js'
+import { compilePattern, capSubject } from './patterns.js'
+
+// Server-side bounds for crawl options
+export const CRAWL_LIMITS = {
+  defaultMaxDepth: 2,
+  maxDepth: 5,
+  defaultMaxPages: 10,
+  maxPages: 50,
+  defaultConcurrency: 3,
+  maxConcurrency: 5
+}
+
+// Whole-crawl time budget, leaving headroom under the 60s function maxDuration
+export const CRAWL_BUDGET_MS = 50000
+
+const CRAWL_KEYS = ['maxDepth', 'maxPages', 'concurrency', 'includePatterns', 'excludePatterns', 'mode', 'stream']
+const MAX_PATTERNS = 20
+// Patterns run on every discovered URL, so both are capped and unsafe patterns are refused (see patterns.js)
+const MAX_PATTERN_LENGTH = 200
+const MAX_URL_SUBJECT_LENGTH = 2048
+
+/**
+ * Validates a list of regular expressions given as strings
+ */
+function parsePatterns(name, value) {
+  if (value === undefined) return { patterns: [] }
+
+  if (!Array.isArray(value) || value.length > MAX_PATTERNS) {
+    return { error: `\`${name}\` must be an array of at most ${MAX_PATTERNS} regular expressions` }
+  }
+
+  const patterns = []
+  for (const source of value) {
+    const { regex, error } = compilePattern(source, '', MAX_PATTERN_LENGTH)
+    if (error) {
+      return { error: `\`${name}\` pattern ${error}` }
+    }
+    patterns.push(regex)
+  }
+  return { patterns }
+}
+
+/**
+ * Validates an integer crawl option and clamps it to [min, max]
+ */
+function clampInteger(name, value, fallback, min, max) {
+  if (value === undefined) return { value: fallback }
+  if (!Number.isInteger(value) || value < min) {
+    return { error: `\`${name}\` must be an integer of at least ${min}` }
+  }
+  return { value: Math.min(value, max) }
+}
+
+/**
+ * Splits the crawl settings off a request body. Returns the normalised
+ * crawl options plus the remaining body, which holds the per-page scrape
+ * options for parseScrapeOptions.
+ */
+export function parseCrawlOptions(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' }
+  }
+
+  const scrapeBody = {}
+  for (const [key, value] of Object.entries(body)) {
+    if (!CRAWL_KEYS.includes(key)) scrapeBody[key] = value
+  }
+
+  const { mode, error: modeError } = parseMode(body.mode)
+  if (modeError) {
+    return { valid: false, error: modeError }
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return { valid: false, error: '`stream` must be a boolean' }
+  }
+
+  const crawl = { mode, stream: body.stream === true }
+  const integers = [
+    ['maxDepth', CRAWL_LIMITS.defaultMaxDepth, 0, CRAWL_LIMITS.maxDepth],
+    ['maxPages', CRAWL_LIMITS.defaultMaxPages, 1, CRAWL_LIMITS.maxPages],
+    ['concurrency', CRAWL_LIMITS.defaultConcurrency, 1, CRAWL_LIMITS.maxConcurrency]
+  ]
+  for (const [name, fallback, min, max] of integers) {
+    const { value, error } = clampInteger(name, body[name], fallback, min, max)
+    if (error) return { valid: false, error }
+    crawl[name] = value
+  }
+
+  for (const name of ['includePatterns', 'excludePatterns']) {
+    const { patterns, error } = parsePatterns(name, body[name])
+    if (error) return { valid: false, error }
+    crawl[name] = patterns
+  }
+
+  return { valid: true, crawl, scrapeBody }
+}
+
+/**
+ * Crawls a site breadth-first from `seedUrl`, following links that stay on
+ * the seed's origin (or the origin it redirects to), match at least one
+ * include pattern (when any are given) and no exclude pattern. URLs are
+ * de-duplicated after normalisation, and the crawl stops at `maxDepth`,
+ * `maxPages`, the time budget or an aborted `signal`, whichever comes first.
+ *
+ * `fetchPage(url, { timeout })` loads one page and resolves to
+ * `{ html, finalUrl, status }`, plus `method` and `detection` in auto mode;
+ * `renderPage(page)` turns a loaded page into the fields reported for it.
+ * `onPage` is called as each page completes.
+ */
+export async function crawl(seedUrl, options) {
+  const {
+    maxDepth,
+    maxPages,
+    concurrency,
+    includePatterns = [],
+    excludePatterns = [],
+    timeout,
+    budget = CRAWL_BUDGET_MS,
+    signal,
+    fetchPage,
+    renderPage = () => ({}),
+    onPage = () => {}
+  } = options
+
+  const startedAt = Date.now()
+  const deadline = startedAt + budget
+  const origins = new Set([new URL(seedUrl).origin])
+  const seen = new Set([normalizeUrl(seedUrl)])
+  const pages = []
+  const summary = {
+    seedUrl,
+    pagesCrawled: 0,
+    pagesFailed: 0,
+    pagesBlocked: 0,
+    urlsDiscovered: 1,
+    urlsExcluded: 0,
+    urlsQueued: 0,
+    maxDepthReached: 0,
+    stopReason: 'complete'
+  }
+
+  const allowed = (url) => {
+    if (!origins.has(new URL(url).origin)) return false
+    const subject = capSubject(url, MAX_URL_SUBJECT_LENGTH)
+    if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(subject))) return false
+    return !excludePatterns.some(pattern => pattern.test(subject))
+  }
+
+  // Resolves to `{ page, links }`, or null when the time budget has run out or the crawl was cancelled
+  const visit = async (url, depth) => {
+    const remaining = deadline - Date.now()
+    if (remaining <= 0 || signal?.aborted) return null
+
+    const page = { url, depth, finalUrl: null, status: null, error: null, code: null, linksFound: 0 }
+    let links = []
+    try {
+      const validation = await validateUrl(url)
+      if (!validation.valid) throw requestError(validation)
+
+      const loaded = await fetchPage(validation.url.href, { timeout: Math.min(timeout, remaining) })
+      page.finalUrl = loaded.finalUrl || url
+      page.status = loaded.status ?? null
+      // Auto mode reports how each page was loaded
+      if (loaded.detection) Object.assign(page, { method: loaded.method, detection: loaded.detection })
+
+      // The seed may redirect to its canonical origin (http -> https, www)
+      if (depth === 0) origins.add(new URL(page.finalUrl).origin)
+
+      Object.assign(page, renderPage({ html: loaded.html, finalUrl: page.finalUrl }))
+
+      // Links are only followed from pages that ended up on the crawled site
+      if (origins.has(new URL(page.finalUrl).origin)) {
+        seen.add(normalizeUrl(page.finalUrl))
+        links = extractLinks(loaded.html, { pageUrl: page.finalUrl }).items
+          .map(link => link.url && normalizeUrl(link.url))
+          .filter(Boolean)
+        page.linksFound = links.length
+      }
+    } catch (error) {
+      page.error = error.message
+      page.code = error instanceof ApiError ? error.code : 'INTERNAL'
+      // Keep the status of pages the server answered with an error code
+      if (error.upstreamStatus) page.status = error.upstreamStatus
+    }
+
+    onPage(page)
+    return { page, links }
+  }
+
+  let frontier = [seedUrl]
+  for (let depth = 0; frontier.length > 0; depth++) {
+    const batch = frontier.slice(0, maxPages - pages.length)
+    const results = await mapWithConcurrency(batch, concurrency, (url) => visit(url, depth))
+
+    const next = []
+    let linksBeyondDepth = false
+    for (const result of results) {
+      if (!result) continue
+      pages.push(result.page)
+      if (result.page.code === 'ROBOTS_DISALLOWED') summary.pagesBlocked++
+      else if (result.page.error) summary.pagesFailed++
+      else summary.pagesCrawled++
+      summary.maxDepthReached = depth
+
+      for (const link of result.links) {
+        if (seen.has(link)) continue
+        if (depth >= maxDepth) {
+          linksBeyondDepth = linksBeyondDepth || allowed(link)
+          continue
+        }
+        seen.add(link)
+        summary.urlsDiscovered++
+        if (allowed(link)) next.push(link)
+        else summary.urlsExcluded++
+      }
+    }
+
+    const unvisited = results.filter(result => !result).length + frontier.length - batch.length
+    if (unvisited > 0 || (pages.length >= maxPages && next.length > 0)) {
+      summary.stopReason = signal?.aborted ? 'cancelled' : results.some(result => !result) ? 'budget' : 'maxPages'
+      summary.urlsQueued = unvisited + next.length
+      break
+    }
+    if (linksBeyondDepth) {
+      summary.stopReason = 'maxDepth'
+    }
+    frontier = next
+  }
+
+  summary.durationMs = Date.now() - startedAt
+  return { pages, summary }
+}
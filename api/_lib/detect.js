@@ -0,0 +1,113 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+
+/**
+ * Heuristics that decide whether a statically fetched page needs a headless
+ * render. Each signal that fires adds its weight to the page's score; a page
+ * scoring at least the threshold is re-rendered in `auto` mode and flagged
+ * as `isJsRendered` by static scrapes. Tune by changing the weights here, or
+ * the threshold with AUTO_RENDER_THRESHOLD.
+ *
+ * - `emptyBody`: the body has less visible text than MIN_TEXT_LENGTH
+ * - `emptyMountPoint`: a framework's root element (`#root`, `#__next`...) is empty
+ * - `frameworkMarker`: the page carries a client-side framework's markers;
+ *   server-rendered pages carry them too, so this alone never triggers a render
+ * - `noscriptMessage`: a `<noscript>` block asks the visitor to enable JavaScript
+ * - `missingSelector`: the request's `expectSelector` matches nothing
+ */
+export const DETECTION_WEIGHTS = {
+  emptyBody: 0.6,
+  emptyMountPoint: 0.5,
+  frameworkMarker: 0.2,
+  noscriptMessage: 0.5,
+  missingSelector: 1
+}
+
+export const RENDER_THRESHOLD = readThreshold(process.env.AUTO_RENDER_THRESHOLD, 0.5)
+
+// Visible body text below this many characters counts as an empty body
+export const MIN_TEXT_LENGTH = 100
+
+// Root elements client-side frameworks render into
+const MOUNT_POINTS = ['#root', '#app', '#__next', '#__nuxt', '#___gatsby', '#__docusaurus', '#svelte', '[data-reactroot]', '[ng-version]', '[data-v-app]']
+// Markup and inline scripts left by client-side frameworks
+const FRAMEWORK_MARKERS = [
+  ['Next.js', /id="__NEXT_DATA__"|\/_next\/static\//],
+  ['Nuxt', /window\.__NUXT__|id="__nuxt"|\/_nuxt\//],
+  ['React', /data-reactroot|react-dom(?:\.production)?(?:\.min)?\.js/],
+  ['Angular', /ng-version=|<app-root/],
+  ['Vue', /data-v-app|data-server-rendered|vue(?:\.runtime)?(?:\.global)?(?:\.prod)?\.js/],
+  ['Svelte', /svelte-[a-z0-9]{6}|__sveltekit/],
+  ['Gatsby', /id="___gatsby"/]
+]
+const NOSCRIPT_PATTERN = /(enable|turn on|activate|requires?|need|allow)\b[^.]{0,40}\bjavascript|javascript\b[^.]{0,40}\b(disabled|required|needed|turned off)/i
+
+// A threshold of 0 is valid (always render); only a missing or unparseable value falls back
+function readThreshold(value, fallback) {
+  const threshold = value === undefined || value.trim() === '' ? NaN : Number(value)
+  return Number.isFinite(threshold) ? threshold : fallback
+}
+
+const visibleText = ($, element) => {
+  const clone = $(element).clone()
+  clone.find('script, style, noscript, template, svg').remove()
+  return clone.text().replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Checks that a CSS selector can be parsed, returning an error message or null
+ */
+export function validateSelector(name, selector) {
+  if (typeof selector !== 'string' || selector.trim() === '') {
+    return `\`${name}\` must be a CSS selector string`
+  }
+  try {
+    cheerio.load('')(selector)
+  } catch (error) {
+    return `\`${name}\` is not a valid selector: ${selector}`
+  }
+  return null
+}
+
+/**
+ * Scores a page's HTML (see DETECTION_WEIGHTS). Returns
+ * `{ score, threshold, needsRender, signals }`, where each signal that fired
+ * is `{ signal, weight, detail }`.
+ */
+export function scorePage(html, { expectSelector = null, weights = DETECTION_WEIGHTS, threshold = RENDER_THRESHOLD } = {}) {
+  const $ = cheerio.load(html)
+  const signals = []
+  const fire = (signal, detail) => {
+    if (weights[signal] > 0) signals.push({ signal, weight: weights[signal], detail })
+  }
+
+  const text = visibleText($, 'body')
+  if (text.length < MIN_TEXT_LENGTH) {
+    fire('emptyBody', `The body has ${text.length} characters of visible text`)
+  }
+
+  const emptyMount = MOUNT_POINTS.find(selector => {
+    const element = $(selector).first()
+    return element.length > 0 && visibleText($, element) === ''
+  })
+  if (emptyMount) {
+    fire('emptyMountPoint', `The framework root ${emptyMount} is empty`)
+  }
+
+  const frameworks = FRAMEWORK_MARKERS.filter(([, pattern]) => pattern.test(html)).map(([name]) => name)
+  if (frameworks.length > 0) {
+    fire('frameworkMarker', `Uses ${frameworks.join(', ')}`)
+  }
+
+  const noscript = $('noscript').toArray().map(element => $(element).text()).find(message => NOSCRIPT_PATTERN.test(message))
+  if (noscript) {
+    fire('noscriptMessage', `<noscript> says: ${noscript.replace(/\s+/g, ' ').trim().slice(0, 120)}`)
+  }
+
+  if (expectSelector && $(expectSelector).length === 0) {
+    fire('missingSelector', `Nothing matches ${expectSelector}`)
+  }
+
+  const score = Math.round(signals.reduce((sum, { weight }) => sum + weight, 0) * 100) / 100
+  return { score, threshold, needsRender: score >= threshold, signals }
+}
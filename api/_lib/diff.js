@@ -0,0 +1,144 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+import { htmlToText } from './markdown.js'
+
+// Longest line lists compared with a full LCS table; the changed middle of
+// larger documents is reported as one removed and one added block
+const MAX_DIFF_CELLS = 4 * 1000 * 1000
+const MAX_IGNORE_SELECTORS = 20
+
+/**
+ * Validates a diff scope: an optional CSS `selector` limiting the comparison
+ * to matching elements and `ignore` selectors (array or comma-separated
+ * string) for elements such as ads and timestamps that are removed first
+ */
+export function parseScope({ selector, ignore } = {}) {
+  const scope = { selector: null, ignore: [] }
+
+  if (selector !== undefined && selector !== null && selector !== '') {
+    if (typeof selector !== 'string') {
+      return { error: '`selector` must be a CSS selector string' }
+    }
+    scope.selector = selector.trim()
+  }
+
+  if (ignore !== undefined && ignore !== null && ignore !== '') {
+    const list = Array.isArray(ignore) ? ignore : String(ignore).split(',')
+    if (list.some(item => typeof item !== 'string')) {
+      return { error: '`ignore` must be a list of CSS selectors' }
+    }
+    scope.ignore = list.map(item => item.trim()).filter(Boolean)
+    if (scope.ignore.length > MAX_IGNORE_SELECTORS) {
+      return { error: `\`ignore\` may contain at most ${MAX_IGNORE_SELECTORS} selectors` }
+    }
+  }
+
+  // Reject selectors the parser cannot handle up front rather than mid-diff
+  const $ = cheerio.load('')
+  for (const candidate of [scope.selector, ...scope.ignore].filter(Boolean)) {
+    try {
+      $(candidate)
+    } catch (error) {
+      return { error: `Invalid selector: ${candidate}` }
+    }
+  }
+
+  return { scope }
+}
+
+/**
+ * Reduces a page to the lines of text that are compared: the text of the
+ * elements matching `scope.selector` (or the whole body), without the
+ * elements matching `scope.ignore`, one trimmed non-empty line per entry
+ */
+export function scopedLines(html, scope = {}) {
+  const $ = cheerio.load(html)
+  $('script, style, noscript, template').remove()
+  for (const selector of scope.ignore || []) {
+    $(selector).remove()
+  }
+
+  const fragments = scope.selector
+    ? $(scope.selector).toArray().map(element => $.html(element))
+    : [$('body').html() ?? $.html()]
+
+  return fragments
+    .flatMap(fragment => htmlToText(fragment).split('\n'))
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+}
+
+/**
+ * Compares two lists of lines and returns the edit script as hunks of
+ * `{ type: 'equal' | 'removed' | 'added', lines }`, with line counts in
+ * `stats`
+ */
+export function diffLines(before, after) {
+  // Common leading and trailing lines need no table
+  let start = 0
+  while (start < before.length && start < after.length && before[start] === after[start]) start++
+  let end = 0
+  while (
+    end < before.length - start &&
+    end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]
+  ) end++
+
+  const oldMiddle = before.slice(start, before.length - end)
+  const newMiddle = after.slice(start, after.length - end)
+  const ops = [
+    ...before.slice(0, start).map(line => ['equal', line]),
+    ...diffMiddle(oldMiddle, newMiddle),
+    ...before.slice(before.length - end).map(line => ['equal', line])
+  ]
+
+  const hunks = []
+  const stats = { equal: 0, removed: 0, added: 0 }
+  for (const [type, line] of ops) {
+    stats[type]++
+    const last = hunks[hunks.length - 1]
+    if (last && last.type === type) last.lines.push(line)
+    else hunks.push({ type, lines: [line] })
+  }
+
+  return { changed: stats.removed > 0 || stats.added > 0, stats, hunks }
+}
+
+/**
+ * Line-level LCS diff of the part of two documents that differs
+ */
+function diffMiddle(before, after) {
+  const n = before.length
+  const m = after.length
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [...before.map(line => ['removed', line]), ...after.map(line => ['added', line])]
+  }
+
+  // lengths[i * (m + 1) + j] is the LCS length of before[i..] and after[j..]
+  const lengths = new Uint32Array((n + 1) * (m + 1))
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * (m + 1) + j] = before[i] === after[j]
+        ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+        : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1])
+    }
+  }
+
+  const ops = []
+  let i = 0
+  let j = 0
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      ops.push(['equal', before[i]])
+      i++
+      j++
+    } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+      ops.push(['removed', before[i++]])
+    } else {
+      ops.push(['added', after[j++]])
+    }
+  }
+  while (i < n) ops.push(['removed', before[i++]])
+  while (j < m) ops.push(['added', after[j++]])
+  return ops
+}
@@ -0,0 +1,108 @@
+/* eslint-env node */
+import http from 'http'
+import net from 'net'
+import { validateUrl } from './ssrf.js'
+
+const FORBIDDEN = 'HTTP/1.1 403 Forbidden\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n'
+// Hop-by-hop headers meant for the proxy, not the target
+const PROXY_HEADERS = ['proxy-connection', 'proxy-authorization']
+
+/**
+ * Starts an HTTP proxy on a loopback port that headless Chrome sends all of
+ * its traffic through. Every connection, including HTTPS and WebSocket
+ * tunnels (`CONNECT`), resolves the target with validateUrl and connects to
+ * the vetted address itself, so Chrome never resolves hostnames and a DNS
+ * answer that changes after the check cannot reach a private address.
+ * Refused tunnels get `403` and refused plain requests a dropped
+ * connection. Resolves to `{ port, close }`.
+ */
+export async function startEgressProxy() {
+  const server = http.createServer(async (req, res) => {
+    let target
+    try {
+      target = new URL(req.url)
+    } catch (error) {
+      res.writeHead(400).end()
+      return
+    }
+    // Refusals drop the connection, so Chrome fails the request instead of showing a proxy error page
+    const verdict = await validateUrl(target.href)
+    if (!verdict.valid || target.protocol !== 'http:') {
+      req.socket.destroy()
+      return
+    }
+
+    const headers = { ...req.headers }
+    PROXY_HEADERS.forEach(name => delete headers[name])
+    const upstream = http.request({
+      host: verdict.address,
+      family: verdict.family,
+      port: target.port || 80,
+      path: target.pathname + target.search,
+      method: req.method,
+      headers
+    }, (response) => {
+      res.writeHead(response.statusCode, response.statusMessage, response.headers)
+      response.pipe(res)
+    })
+    upstream.on('error', () => res.destroy())
+    req.pipe(upstream)
+  })
+
+  // HTTPS and WebSocket connections arrive as `CONNECT host:port` tunnels
+  server.on('connect', async (req, client, head) => {
+    client.on('error', () => {})
+    const verdict = await validateUrl(`http://${req.url}/`)
+    if (!verdict.valid) {
+      client.end(FORBIDDEN + verdict.error)
+      return
+    }
+    const port = Number(verdict.url.port) || 80
+    const upstream = net.connect({ host: verdict.address, family: verdict.family, port }, () => {
+      client.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      if (head.length > 0) upstream.write(head)
+      upstream.pipe(client)
+      client.pipe(upstream)
+    })
+    upstream.on('error', () => client.destroy())
+    client.on('close', () => upstream.destroy())
+  })
+
+  // Chrome keeps its own connections open; the proxy must not hold the process
+  server.unref()
+  await new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(0, '127.0.0.1', resolve)
+  })
+
+  proxyPort = server.address().port
+  return {
+    port: proxyPort,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  }
+}
+
+let proxy = null
+let proxyPort = null
+
+/**
+ * Checks whether a response's remote address (`{ ip, port }`) is the
+ * egress proxy, which is the only loopback address Chrome may talk to
+ */
+export function isEgressProxy({ ip, port } = {}) {
+  return proxyPort !== null && ip === '127.0.0.1' && port === proxyPort
+}
+
+/**
+ * Returns the egress proxy shared by every browser in this process,
+ * starting it on first use
+ */
+export function getEgressProxy() {
+  if (!proxy) {
+    proxy = startEgressProxy()
+    proxy.catch(() => {
+      proxy = null
+    })
+  }
+  return proxy
+}
@@ -0,0 +1,129 @@
+/* eslint-env node */
+
+// Number of bytes the HTML spec prescan looks at for a <meta> declaration
+const PRESCAN_BYTES = 1024
+
+// Used when nothing declares an encoding and the bytes are not valid UTF-8
+const FALLBACK_ENCODING = 'windows-1252'
+
+/**
+ * Maps an encoding label to its canonical WHATWG name, or null when the
+ * label is not supported by TextDecoder
+ */
+function normalizeLabel(label) {
+  if (!label) return null
+  try {
+    return new TextDecoder(label.trim()).encoding
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Detects a byte order mark at the start of the buffer
+ */
+function sniffBom(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8'
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be'
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le'
+  return null
+}
+
+/**
+ * Extracts the charset parameter from a Content-Type header
+ */
+function charsetFromContentType(contentType) {
+  const match = (contentType || '').match(/charset\s*=\s*["']?([^"';\s]+)/i)
+  return match ? match[1] : null
+}
+
+/**
+ * Parses the attributes of a single tag into a lowercase-keyed object
+ */
+function parseAttributes(tag) {
+  const attributes = {}
+  const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+  let match
+  while ((match = pattern.exec(tag)) !== null) {
+    const name = match[1].toLowerCase()
+    if (!(name in attributes)) {
+      attributes[name] = match[2] ?? match[3] ?? match[4] ?? ''
+    }
+  }
+  return attributes
+}
+
+/**
+ * Looks for <meta charset> or <meta http-equiv="content-type"> in the first
+ * 1024 bytes, skipping comments, following the HTML spec prescan
+ */
+function prescanMeta(bytes) {
+  const head = Buffer.from(bytes.subarray(0, PRESCAN_BYTES)).toString('latin1').replace(/<!--[\s\S]*?-->/g, '')
+  const metaPattern = /<meta[\s/]([^>]*)>/gi
+  let match
+  while ((match = metaPattern.exec(head)) !== null) {
+    const attributes = parseAttributes(match[1])
+
+    if (attributes.charset) {
+      return attributes.charset
+    }
+
+    if ((attributes['http-equiv'] || '').toLowerCase() === 'content-type' && attributes.content) {
+      const charset = charsetFromContentType(attributes.content)
+      if (charset) return charset
+    }
+  }
+  return null
+}
+
+/**
+ * Checks whether the buffer decodes cleanly as UTF-8
+ */
+function isValidUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Determines the character encoding of an HTML document in the order the
+ * HTML spec uses: BOM, Content-Type charset, <meta> prescan, then fallback.
+ * Returns the canonical encoding name and which step decided it.
+ */
+export function sniffEncoding(bytes, contentType) {
+  const bomEncoding = sniffBom(bytes)
+  if (bomEncoding) {
+    return { name: bomEncoding, source: 'bom' }
+  }
+
+  const headerEncoding = normalizeLabel(charsetFromContentType(contentType))
+  if (headerEncoding) {
+    return { name: headerEncoding, source: 'content-type' }
+  }
+
+  let metaEncoding = normalizeLabel(prescanMeta(bytes))
+  if (metaEncoding) {
+    // A <meta> can only be read if the document is ASCII-compatible
+    if (metaEncoding.startsWith('utf-16')) metaEncoding = 'utf-8'
+    if (metaEncoding === 'x-user-defined') metaEncoding = 'windows-1252'
+    return { name: metaEncoding, source: 'meta' }
+  }
+
+  if (isValidUtf8(bytes)) {
+    return { name: 'utf-8', source: 'default' }
+  }
+
+  return { name: FALLBACK_ENCODING, source: 'default' }
+}
+
+/**
+ * Decodes an HTML response body using the sniffed encoding
+ */
+export function decodeHtml(bytes, contentType) {
+  const encoding = sniffEncoding(bytes, contentType)
+  const html = new TextDecoder(encoding.name).decode(bytes)
+  return { html, encoding }
+}
@@ -0,0 +1,116 @@
+/* eslint-env node */
+import crypto from 'crypto'
+
+// Stable error codes with their HTTP status and whether retrying the same request may succeed
+export const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, retryable: false },
+  INVALID_URL: { status: 400, retryable: false },
+  BLOCKED_ADDRESS: { status: 400, retryable: false },
+  HOST_NOT_FOUND: { status: 400, retryable: false },
+  TOO_MANY_REDIRECTS: { status: 400, retryable: false },
+  NOT_HTML: { status: 400, retryable: false },
+  ELEMENT_NOT_FOUND: { status: 400, retryable: false },
+  UNAUTHORIZED: { status: 401, retryable: false },
+  NOT_FOUND: { status: 404, retryable: false },
+  METHOD_NOT_ALLOWED: { status: 405, retryable: false },
+  CONFLICT: { status: 409, retryable: false },
+  TOO_LARGE: { status: 413, retryable: false },
+  RATE_LIMITED: { status: 429, retryable: true },
+  ROBOTS_DISALLOWED: { status: 451, retryable: false },
+  INTERNAL: { status: 500, retryable: false },
+  UPSTREAM_STATUS: { status: 502, retryable: false },
+  UPSTREAM_UNREACHABLE: { status: 502, retryable: true },
+  RENDER_FAILED: { status: 502, retryable: true },
+  BROWSER_UNAVAILABLE: { status: 503, retryable: false },
+  BROWSER_BUSY: { status: 503, retryable: true },
+  TIMEOUT: { status: 504, retryable: true },
+  NOT_IN_CACHE: { status: 504, retryable: false }
+}
+
+// Upstream statuses worth retrying: timeouts, rate limits and server errors
+const RETRYABLE_UPSTREAM = [408, 425, 429, 500, 502, 503, 504]
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+/**
+ * An error with a stable `code` (see ERROR_CODES). `status` is the HTTP
+ * status it is sent with; `upstreamStatus` is the target server's status,
+ * when it answered; `data` is merged into the error envelope.
+ */
+export class ApiError extends Error {
+  constructor(code, message, { upstreamStatus = null, retryable, data = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'ApiError'
+    this.code = code
+    this.status = ERROR_CODES[code].status
+    this.upstreamStatus = upstreamStatus
+    this.retryable = retryable ?? ERROR_CODES[code].retryable
+    this.data = data
+  }
+}
+
+/**
+ * The target server answered with a non-2xx status
+ */
+export class UpstreamStatusError extends ApiError {
+  constructor(status, statusText) {
+    super('UPSTREAM_STATUS', `HTTP ${status}: ${statusText}`, {
+      upstreamStatus: status,
+      retryable: RETRYABLE_UPSTREAM.includes(status)
+    })
+    this.name = 'UpstreamStatusError'
+  }
+}
+
+/**
+ * Turns a failed validation result (`{ valid: false, error, code }`) into
+ * an ApiError; results without a code are invalid requests
+ */
+export function requestError({ error, code = 'INVALID_REQUEST' }) {
+  return new ApiError(code, error)
+}
+
+/**
+ * Returns the ID of a request: a well-formed `X-Request-Id` header from the
+ * client or proxy, otherwise a new UUID. The ID is kept on `req`.
+ */
+export function requestId(req) {
+  if (!req.requestId) {
+    const header = req.headers?.['x-request-id']
+    req.requestId = typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID()
+  }
+  return req.requestId
+}
+
+/**
+ * Builds the JSON error envelope for any thrown error:
+ * `{ error, code, upstreamStatus, retryable, requestId }`. Errors that are
+ * not ApiErrors become INTERNAL, with `fallback` as the message and the
+ * original one in `details`. Returns `{ status, body }`.
+ */
+export function errorEnvelope(req, error, fallback = 'Request failed') {
+  const known = error instanceof ApiError
+  return {
+    status: known ? error.status : ERROR_CODES.INTERNAL.status,
+    body: {
+      error: known ? error.message : fallback,
+      code: known ? error.code : 'INTERNAL',
+      upstreamStatus: known ? error.upstreamStatus : null,
+      retryable: known ? error.retryable : ERROR_CODES.INTERNAL.retryable,
+      requestId: requestId(req),
+      ...(known ? error.data : { details: error.message })
+    }
+  }
+}
+
+/**
+ * Sends the error envelope (see errorEnvelope) with an `X-Request-Id`
+ * header. Server-side failures are logged with the request ID.
+ */
+export function sendError(req, res, error, fallback) {
+  const { status, body } = errorEnvelope(req, error, fallback)
+  if (status >= 500) {
+    console.error(`${fallback || 'Request failed'} [${body.requestId}]:`, error)
+  }
+  res.setHeader('X-Request-Id', body.requestId)
+  return res.status(status).json(body)
+}
@@ -0,0 +1,313 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+import { URL } from 'url'
+import { compilePattern, capSubject } from './patterns.js'
+
+const MAX_FIELDS = 100
+const MAX_DEPTH = 5
+const FIELD_TYPES = ['text', 'html', 'attribute']
+const FIELD_KEYS = ['selector', 'type', 'attribute', 'multiple', 'fields', 'transforms']
+const TRANSFORM_TYPES = ['trim', 'regex', 'number', 'currency', 'date', 'absoluteUrl']
+
+// Currency symbols recognised by the `currency` transform
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  'R$': 'BRL',
+  'NT$': 'TWD',
+  'HK$': 'HKD',
+  'A$': 'AUD',
+  'C$': 'CAD'
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Normalises one transform. A bare string is shorthand for `{ type }`.
+ */
+function normalizeTransform(name, definition) {
+  const transform = typeof definition === 'string' ? { type: definition } : definition
+
+  if (!isPlainObject(transform) || !TRANSFORM_TYPES.includes(transform.type)) {
+    return { error: `Field ${name} has an invalid transform (expected one of ${TRANSFORM_TYPES.join(', ')})` }
+  }
+
+  if (transform.type !== 'regex') {
+    return { transform: { type: transform.type } }
+  }
+
+  if (typeof transform.pattern !== 'string') {
+    return { error: `Field ${name} regex transform needs a \`pattern\`` }
+  }
+
+  const group = transform.group ?? 1
+  if (!Number.isInteger(group) || group < 0) {
+    return { error: `Field ${name} regex transform \`group\` must be a non-negative integer` }
+  }
+
+  // Global and sticky flags would make the expression stateful between values
+  const flags = typeof transform.flags === 'string' ? transform.flags.replace(/[gy]/g, '') : ''
+  const { regex, error } = compilePattern(transform.pattern, flags)
+  if (error) {
+    return { error: `Field ${name} regex transform pattern ${error}` }
+  }
+  return { transform: { type: 'regex', pattern: regex, group } }
+}
+
+/**
+ * Normalises one field definition. A bare string is shorthand for
+ * `{ selector, type: 'text' }`; giving `attribute` implies `type: 'attribute'`.
+ * A field with nested `fields` yields an object (or a list of objects when
+ * `multiple`) whose selectors are scoped to each match.
+ */
+function normalizeField(name, definition, depth) {
+  const field = typeof definition === 'string' ? { selector: definition } : definition
+
+  if (!isPlainObject(field)) {
+    return { error: `Field ${name} must be a selector string or an object` }
+  }
+
+  const unknownKeys = Object.keys(field).filter(key => !FIELD_KEYS.includes(key))
+  if (unknownKeys.length > 0) {
+    return { error: `Field ${name} has unknown option(s): ${unknownKeys.join(', ')}` }
+  }
+
+  const nested = field.fields !== undefined
+  if (field.selector !== undefined || !nested) {
+    if (typeof field.selector !== 'string' || field.selector.trim() === '') {
+      return { error: `Field ${name} needs a non-empty \`selector\`` }
+    }
+
+    // Reject selectors the parser cannot handle up front rather than mid-extraction
+    try {
+      cheerio.load('')(field.selector)
+    } catch (error) {
+      return { error: `Field ${name} has an invalid selector: ${field.selector}` }
+    }
+  }
+
+  if (field.multiple !== undefined && typeof field.multiple !== 'boolean') {
+    return { error: `Field ${name} option \`multiple\` must be a boolean` }
+  }
+
+  const selector = field.selector ? field.selector.trim() : null
+  const multiple = field.multiple === true
+
+  if (nested) {
+    if (field.type !== undefined || field.attribute !== undefined || field.transforms !== undefined) {
+      return { error: `Field ${name} cannot combine nested \`fields\` with type, attribute or transforms` }
+    }
+    if (depth >= MAX_DEPTH) {
+      return { error: `Field ${name} is nested more than ${MAX_DEPTH} levels deep` }
+    }
+    const children = parseFieldMap(field.fields, depth + 1)
+    if (!children.valid) return { error: children.error }
+    return { field: { selector, multiple, fields: children.fields } }
+  }
+
+  const type = field.type || (field.attribute ? 'attribute' : 'text')
+  if (!FIELD_TYPES.includes(type)) {
+    return { error: `Field ${name} has invalid type ${type} (expected ${FIELD_TYPES.join(', ')})` }
+  }
+
+  if (type === 'attribute' && (typeof field.attribute !== 'string' || field.attribute.trim() === '')) {
+    return { error: `Field ${name} needs an \`attribute\` name` }
+  }
+
+  const transforms = []
+  if (field.transforms !== undefined) {
+    if (!Array.isArray(field.transforms)) {
+      return { error: `Field ${name} option \`transforms\` must be an array` }
+    }
+    for (const definition of field.transforms) {
+      const { transform, error } = normalizeTransform(name, definition)
+      if (error) return { error }
+      transforms.push(transform)
+    }
+  }
+
+  return {
+    field: {
+      selector,
+      type,
+      attribute: type === 'attribute' ? field.attribute.trim() : null,
+      multiple,
+      transforms
+    }
+  }
+}
+
+/**
+ * Validates one level of a field map
+ */
+function parseFieldMap(fields, depth) {
+  if (!isPlainObject(fields) || Object.keys(fields).length === 0) {
+    return { valid: false, error: '`fields` must be a non-empty object of field names to selectors' }
+  }
+
+  if (Object.keys(fields).length > MAX_FIELDS) {
+    return { valid: false, error: `\`fields\` may contain at most ${MAX_FIELDS} entries` }
+  }
+
+  const normalized = {}
+  for (const [name, definition] of Object.entries(fields)) {
+    const { field, error } = normalizeField(name, definition, depth)
+    if (error) return { valid: false, error }
+    normalized[name] = field
+  }
+
+  return { valid: true, fields: normalized }
+}
+
+/**
+ * Validates a map of field names to selector definitions
+ */
+export function parseFields(fields) {
+  return parseFieldMap(fields, 0)
+}
+
+/**
+ * Parses a localised number such as "1,234.50" or "1.234,50"
+ */
+function parseNumber(value) {
+  const cleaned = String(value).replace(/[^\d.,-]/g, '')
+  if (!/\d/.test(cleaned)) return null
+
+  const lastComma = cleaned.lastIndexOf(',')
+  const lastDot = cleaned.lastIndexOf('.')
+  let normalized
+  if (lastComma > -1 && lastDot > -1) {
+    // Whichever separator comes last is the decimal separator
+    normalized = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '')
+  } else if (lastComma > -1) {
+    // A single comma followed by exactly three digits is a thousands separator
+    const decimals = cleaned.length - lastComma - 1
+    normalized = decimals === 3 || cleaned.indexOf(',') !== lastComma
+      ? cleaned.replace(/,/g, '')
+      : cleaned.replace(',', '.')
+  } else {
+    normalized = cleaned
+  }
+
+  const number = parseFloat(normalized)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Parses a price into `{ amount, currency }`
+ */
+function parseCurrency(value) {
+  const text = String(value)
+  const amount = parseNumber(text)
+  if (amount === null) return null
+
+  let currency = null
+  const code = text.match(/\b([A-Z]{3})\b/)
+  if (code) {
+    currency = code[1]
+  } else {
+    // Longest symbols first so "R$" wins over "$"
+    const symbol = Object.keys(CURRENCY_SYMBOLS)
+      .sort((a, b) => b.length - a.length)
+      .find(candidate => text.includes(candidate))
+    currency = symbol ? CURRENCY_SYMBOLS[symbol] : null
+  }
+
+  return { amount, currency }
+}
+
+/**
+ * Applies a single transform to an extracted value
+ */
+function applyTransform(value, transform, context) {
+  if (value === null || value === undefined) return null
+
+  switch (transform.type) {
+    case 'trim':
+      return String(value).replace(/\s+/g, ' ').trim()
+    case 'regex': {
+      const match = capSubject(value).match(transform.pattern)
+      return match ? (match[transform.group] ?? null) : null
+    }
+    case 'number':
+      return parseNumber(value)
+    case 'currency':
+      return parseCurrency(value)
+    case 'date': {
+      const timestamp = Date.parse(String(value).trim())
+      return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString()
+    }
+    case 'absoluteUrl':
+      try {
+        return new URL(String(value).trim(), context.baseUrl).href
+      } catch (error) {
+        return null
+      }
+    default:
+      return value
+  }
+}
+
+/**
+ * Reads the configured value (text, inner HTML or attribute) of one element
+ * and runs it through the field's transforms
+ */
+function readValue($, element, field, context) {
+  const node = $(element)
+  let value
+  if (field.type === 'html') value = node.html()
+  else if (field.type === 'attribute') value = node.attr(field.attribute) ?? null
+  else value = node.text().replace(/\s+/g, ' ').trim()
+
+  return field.transforms.reduce((current, transform) => applyTransform(current, transform, context), value)
+}
+
+/**
+ * Extracts one level of fields within the given scope
+ */
+function extractFieldMap($, scope, fields, context) {
+  const data = {}
+
+  for (const [name, field] of Object.entries(fields)) {
+    const matches = field.selector ? scope.find(field.selector).toArray() : scope.toArray()
+    const read = field.fields
+      ? (element) => extractFieldMap($, $(element), field.fields, context)
+      : (element) => readValue($, element, field, context)
+
+    data[name] = field.multiple
+      ? matches.map(read)
+      : (matches.length > 0 ? read(matches[0]) : null)
+  }
+
+  return data
+}
+
+/**
+ * Extracts structured data from HTML using normalised field definitions.
+ * Single fields yield the first match (or null); `multiple` fields yield an
+ * array of every match. `pageUrl` (the final URL after redirects) is combined
+ * with any `<base href>` to resolve relative URLs for `absoluteUrl`.
+ */
+export function extractFields(html, fields, { pageUrl } = {}) {
+  const $ = cheerio.load(html)
+
+  let baseUrl = pageUrl
+  const baseHref = $('base[href]').first().attr('href')
+  if (baseHref) {
+    try {
+      baseUrl = new URL(baseHref, pageUrl).href
+    } catch (error) {
+      // Ignore an unusable <base> and fall back to the page URL
+    }
+  }
+
+  return extractFieldMap($, $.root(), fields, { baseUrl })
+}
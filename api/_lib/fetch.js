@@ -0,0 +1,530 @@
+/* eslint-env node */
+import http from 'http'
+import https from 'https'
+import zlib from 'zlib'
+import { URL } from 'url'
+import { validateUrl, pinnedLookup } from './ssrf.js'
+import { decodeHtml } from './encoding.js'
+import { cookieHeader } from './options.js'
+import { parseRobots, matchRobots, getCachedRobots, cacheRobots, ROBOTS_FAILURE_TTL_MS, ROBOTS_MAX_SIZE } from './robots.js'
+import { withHostSlot } from './throttle.js'
+import { getCache, cacheKey, CACHE_TTL_MS } from './cache.js'
+import { ApiError, UpstreamStatusError, requestError } from './errors.js'
+
+// Constants
+export const MAX_RESPONSE_SIZE = 1024 * 1024 // 1MB
+export const TIMEOUT_MS = 5000 // 5 seconds
+export const MAX_TIMEOUT_MS = 9000 // 9 seconds
+export const MAX_REDIRECTS = 5
+const ROBOTS_TIMEOUT_MS = 3000 // 3 seconds
+
+export const STATIC_LIMITS = {
+  defaultTimeout: TIMEOUT_MS,
+  maxTimeout: MAX_TIMEOUT_MS,
+  defaultMaxSize: MAX_RESPONSE_SIZE
+}
+
+// User agent to use for requests
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308]
+
+/**
+ * Builds the outgoing request headers. Custom headers and cookies are only
+ * sent to the origin that was requested, never to a redirect target on a
+ * different origin.
+ */
+function buildHeaders(options, sameOrigin) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.5',
+    'Upgrade-Insecure-Requests': '1',
+    ...(sameOrigin ? options.headers : {})
+  }
+
+  if (options.userAgent) headers['User-Agent'] = options.userAgent
+  if (options.acceptLanguage) headers['Accept-Language'] = options.acceptLanguage
+  if (sameOrigin && options.cookies && Object.keys(options.cookies).length > 0) {
+    headers['Cookie'] = cookieHeader(options.cookies)
+  }
+
+  // Managed by the scraper: we can only decode gzip/deflate and never reuse sockets
+  headers['Accept-Encoding'] = 'gzip, deflate'
+  headers['Connection'] = 'close'
+  return headers
+}
+
+/**
+ * Performs a single request against an already-vetted address, recording
+ * connection timings (milliseconds since the request started) on `timing`
+ */
+function requestOnce(url, { method = 'GET', address, family, signal, timing, headers, body }) {
+  const transport = url.protocol === 'https:' ? https : http
+  const startedAt = performance.now()
+  const elapsed = () => Math.round(performance.now() - startedAt)
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method,
+      signal,
+      lookup: pinnedLookup(address, family),
+      headers
+    })
+
+    req.on('socket', (socket) => {
+      socket.once('connect', () => { timing.connect = elapsed() })
+      socket.once('secureConnect', () => { timing.tls = elapsed() - timing.connect })
+    })
+    req.on('response', (response) => {
+      timing.ttfb = elapsed()
+      resolve(response)
+    })
+    req.on('error', reject)
+    req.end(body)
+  })
+}
+
+/**
+ * Reads a response body, decompressing it and enforcing the size limit
+ */
+function readBody(response, maxSize) {
+  const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase()
+  let stream = response
+  if (encoding === 'gzip' || encoding === 'x-gzip') {
+    stream = response.pipe(zlib.createGunzip())
+  } else if (encoding === 'deflate') {
+    stream = response.pipe(zlib.createInflate())
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let totalLength = 0
+
+    const fail = (error) => {
+      response.destroy()
+      stream.destroy()
+      reject(error)
+    }
+
+    stream.on('data', (chunk) => {
+      totalLength += chunk.length
+      if (totalLength > maxSize) {
+        fail(new ApiError('TOO_LARGE', `Response too large (max ${maxSize} bytes)`))
+        return
+      }
+      chunks.push(chunk)
+    })
+    stream.on('end', () => resolve(Buffer.concat(chunks, totalLength)))
+    stream.on('error', fail)
+    response.on('error', fail)
+  })
+}
+
+/**
+ * Classifies a failed request: an abort is a timeout, and errors that are
+ * not ApiErrors already (refused connections, resets, broken compression)
+ * mean the server could not be reached. A timeout during the body download
+ * surfaces as a reset (`aborted`), so the request's `signal` is checked too.
+ */
+function requestFailure(error, signal) {
+  if (error.name === 'AbortError' || signal?.aborted) {
+    return new ApiError('TIMEOUT', 'Request timed out')
+  }
+  if (error instanceof ApiError) {
+    return error
+  }
+  return new ApiError('UPSTREAM_UNREACHABLE', `Could not reach the server: ${error.message}`, { cause: error })
+}
+
+/**
+ * Sends a request and follows redirects manually so that every hop passes
+ * the same SSRF validation. Resolves to the final (non-redirect) response,
+ * its URL, the redirect chain and the timing of the final request.
+ */
+async function followRedirects(url, { method = 'GET', signal, options }) {
+  const origin = new URL(url).origin
+  const redirects = []
+  let currentUrl = new URL(url)
+
+  for (let hop = 0; ; hop++) {
+    const lookupStartedAt = performance.now()
+    const validation = await validateUrl(currentUrl.href)
+    if (!validation.valid) {
+      throw hop === 0 ? requestError(validation) : new ApiError('BLOCKED_ADDRESS', `Redirect blocked: ${validation.error}`)
+    }
+
+    const timing = { dns: Math.round(performance.now() - lookupStartedAt), connect: null, tls: null, ttfb: null, download: null }
+    const response = await requestOnce(validation.url, {
+      method,
+      address: validation.address,
+      family: validation.family,
+      signal,
+      timing,
+      headers: buildHeaders(options, currentUrl.origin === origin)
+    })
+
+    const location = response.headers.location
+    if (!REDIRECT_STATUSES.includes(response.statusCode) || !location) {
+      return { response, finalUrl: currentUrl.href, redirects, timing }
+    }
+
+    response.resume()
+    redirects.push({ url: currentUrl.href, status: response.statusCode, location })
+    if (hop >= MAX_REDIRECTS) {
+      throw new ApiError('TOO_MANY_REDIRECTS', `Too many redirects (max ${MAX_REDIRECTS})`)
+    }
+    currentUrl = new URL(location, currentUrl)
+  }
+}
+
+/**
+ * Downloads robots.txt for an origin. A missing file (4xx) allows
+ * everything; a server error or an unreachable host disallows everything,
+ * as RFC 9309 requires.
+ */
+async function fetchRobots(origin, options) {
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT_MS)
+  const disallowAll = (reason) => ({
+    groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }],
+    sitemaps: [],
+    unreachable: reason
+  })
+
+  try {
+    const { response } = await followRedirects(`${origin}/robots.txt`, {
+      signal: controller.signal,
+      options: { userAgent: options.userAgent, acceptLanguage: options.acceptLanguage }
+    })
+
+    if (response.statusCode >= 400 && response.statusCode < 500) {
+      response.resume()
+      return { groups: [], sitemaps: [] }
+    }
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume()
+      return disallowAll(`HTTP ${response.statusCode}`)
+    }
+
+    const body = await readBody(response, ROBOTS_MAX_SIZE)
+    return parseRobots(body.toString('utf8'))
+
+  } catch (error) {
+    return disallowAll(error.name === 'AbortError' || controller.signal.aborted ? 'timed out' : error.message)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Returns the parsed robots.txt for an origin, fetching it on a cache miss
+ */
+export async function getRobots(origin, options = {}) {
+  let robots = getCachedRobots(origin)
+  if (!robots) {
+    robots = await fetchRobots(origin, options)
+    cacheRobots(origin, robots, robots.unreachable ? ROBOTS_FAILURE_TTL_MS : undefined)
+  }
+  return robots
+}
+
+/**
+ * Checks a URL against its site's robots.txt (cached per origin) for the
+ * user agent the request will send. Throws a ROBOTS_DISALLOWED error
+ * when the path is disallowed, and otherwise resolves to the Crawl-delay in
+ * milliseconds, if any. `options.respectRobots: false` skips the check.
+ */
+export async function enforceRobots(url, options = {}) {
+  if (options.respectRobots === false) {
+    return { crawlDelay: null }
+  }
+
+  const target = new URL(url)
+  const robots = await getRobots(target.origin, options)
+  const verdict = matchRobots(robots, options.userAgent || USER_AGENT, target.pathname + target.search)
+  if (!verdict.allowed) {
+    throw new ApiError('ROBOTS_DISALLOWED', robots.unreachable
+      ? `Blocked by robots.txt: it could not be fetched (${robots.unreachable}), so the site is treated as disallowed`
+      : `Blocked by robots.txt: ${target.pathname} is disallowed (${verdict.rule})`)
+  }
+  return { crawlDelay: verdict.crawlDelay }
+}
+
+/**
+ * Fetches HTML content from a URL with size and timeout limits. Redirects are
+ * followed manually so that every hop passes the same SSRF validation.
+ *
+ * The URL is checked against robots.txt first (see enforceRobots), and the
+ * request waits for a slot in the per-host schedule (see throttle.js).
+ *
+ * Resolves to the decoded HTML and the encoding it was decoded with, together
+ * with the redirect chain, the final URL, status and headers, and a timing
+ * breakdown of the final request.
+ *
+ * `options` may override `timeout`, `maxSize`, `userAgent` and
+ * `acceptLanguage`, add `headers` and `cookies`, and set `respectRobots`,
+ * `cache` and `cacheTtl` (see options.js).
+ */
+export async function fetchWithLimits(url, options = {}) {
+  const { body, contentType, ...response } = await fetchResource(url, options, (type) => {
+    if (!type.includes('text/html') && !type.includes('application/xhtml')) {
+      throw new ApiError('NOT_HTML', 'URL does not return HTML content')
+    }
+  })
+
+  const { html, encoding } = decodeHtml(body, contentType)
+  return { html, encoding, ...response }
+}
+
+/**
+ * Fetches any resource with the same SSRF validation, robots.txt check,
+ * per-host scheduling and size and timeout limits as fetchWithLimits, and
+ * resolves to the raw `body` bytes and its `contentType` instead of decoded
+ * HTML. `checkContentType(contentType)` may throw to reject a response
+ * before its body is downloaded.
+ *
+ * With `options.cache` set to `default`, fresh responses are served from the
+ * response cache (see cache.js) without fetching the page, once robots.txt
+ * allows it, and stale ones
+ * are revalidated with `If-None-Match`/`If-Modified-Since`. `only` serves
+ * fresh cached responses and fails on anything else; `bypass` (or no `cache`
+ * option) neither reads nor writes the cache. The result says whether it
+ * came from the cache (`cached`, `revalidated`) and its `age` in seconds.
+ */
+export async function fetchResource(url, options = {}, checkContentType = () => {}) {
+  const mode = options.cache || 'bypass'
+  if (mode === 'bypass') {
+    return { ...(await fetchFromNetwork(url, options, checkContentType)), cached: false, revalidated: false, age: 0 }
+  }
+
+  // Cached pages may have been fetched with `respectRobots: false`, so robots.txt is checked before serving one
+  const robots = await enforceRobots(url, options)
+  const cache = getCache()
+  const key = cacheKey(url, options)
+  const stored = await cache.get(key)
+  // An entry larger than this request allows is treated as a miss
+  const entry = stored && stored.body.length <= (options.maxSize ?? MAX_RESPONSE_SIZE) ? stored : null
+
+  if (entry && entry.expiresAt > Date.now()) {
+    checkContentType(entry.contentType)
+    return fromCacheEntry(entry)
+  }
+  if (mode === 'only') {
+    throw new ApiError('NOT_IN_CACHE', entry ? 'Not in cache: the cached copy is stale (cache=only)' : 'Not in cache (cache=only)')
+  }
+
+  const ttl = options.cacheTtl ?? CACHE_TTL_MS
+  const result = await fetchFromNetwork(url, options, checkContentType, entry, robots)
+
+  if (result.notModified) {
+    checkContentType(entry.contentType)
+    const refreshed = { ...entry, storedAt: Date.now(), expiresAt: Date.now() + ttl }
+    await cache.set(key, refreshed)
+    return { ...fromCacheEntry(refreshed), revalidated: true, timing: result.timing }
+  }
+
+  if (!/no-store/i.test(result.headers['cache-control'] || '')) {
+    const { body, contentType, finalUrl, status, statusText, headers, redirects } = result
+    await cache.set(key, {
+      body,
+      contentType,
+      finalUrl,
+      status,
+      statusText,
+      headers,
+      redirects,
+      etag: result.headers.etag || null,
+      lastModified: result.headers['last-modified'] || null,
+      storedAt: Date.now(),
+      expiresAt: Date.now() + ttl
+    })
+  }
+  return { ...result, cached: false, revalidated: false, age: 0 }
+}
+
+/**
+ * Turns a cache entry back into a fetchResource result
+ */
+function fromCacheEntry({ body, contentType, finalUrl, status, statusText, headers, redirects, storedAt }) {
+  return {
+    body,
+    contentType,
+    finalUrl,
+    status,
+    statusText,
+    headers,
+    redirects,
+    timing: null,
+    cached: true,
+    revalidated: false,
+    age: Math.floor((Date.now() - storedAt) / 1000)
+  }
+}
+
+/**
+ * Checks robots.txt (unless `robots`, enforceRobots' result, is given) and
+ * downloads the resource in its per-host slot. Given a stale cache entry,
+ * the request is made conditional on it.
+ */
+async function fetchFromNetwork(url, options, checkContentType, entry = null, robots = null) {
+  const { crawlDelay } = robots || await enforceRobots(url, options)
+  return withHostSlot(new URL(url).hostname, remaining => download(url, { ...options, timeout: remaining }, checkContentType, entry), {
+    delay: crawlDelay ?? undefined,
+    timeout: options.timeout ?? TIMEOUT_MS
+  })
+}
+
+/**
+ * Downloads a response body within the limits (the work behind fetchResource).
+ * When revalidating a cache entry, resolves to `{ notModified: true, timing }`
+ * on a 304 response.
+ */
+async function download(url, options, checkContentType, entry = null) {
+  const { timeout = TIMEOUT_MS, maxSize = MAX_RESPONSE_SIZE } = options
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeout)
+  const startedAt = performance.now()
+
+  // Conditional headers count as custom headers, so they only go to the requested origin
+  const validators = {
+    ...(entry?.etag && { 'If-None-Match': entry.etag }),
+    ...(entry?.lastModified && { 'If-Modified-Since': entry.lastModified })
+  }
+  const requestOptions = { ...options, headers: { ...options.headers, ...validators } }
+
+  try {
+    const { response, finalUrl, redirects, timing } = await followRedirects(url, { signal: controller.signal, options: requestOptions })
+
+    if (response.statusCode === 304 && Object.keys(validators).length > 0) {
+      response.resume()
+      timing.total = Math.round(performance.now() - startedAt)
+      return { notModified: true, timing }
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume()
+      throw new UpstreamStatusError(response.statusCode, response.statusMessage)
+    }
+
+    // Check content type
+    const contentType = response.headers['content-type'] || ''
+    try {
+      checkContentType(contentType)
+    } catch (error) {
+      response.resume()
+      throw error
+    }
+
+    // Check content length
+    const contentLength = response.headers['content-length']
+    if (contentLength && parseInt(contentLength) > maxSize) {
+      response.destroy()
+      throw new ApiError('TOO_LARGE', `Response too large (${contentLength} bytes, max ${maxSize} bytes)`)
+    }
+
+    const downloadStartedAt = performance.now()
+    const body = await readBody(response, maxSize)
+    timing.download = Math.round(performance.now() - downloadStartedAt)
+    timing.total = Math.round(performance.now() - startedAt)
+
+    return {
+      body,
+      contentType,
+      finalUrl,
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      headers: response.headers,
+      redirects,
+      timing
+    }
+
+  } catch (error) {
+    throw requestFailure(error, controller.signal)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * Checks whether a URL responds without downloading its body: a HEAD request,
+ * retried as GET when the server does not support HEAD. Redirects get the
+ * same per-hop SSRF validation as fetchWithLimits, and the request shares
+ * the per-host schedule, but robots.txt is not consulted for a status check.
+ */
+export function checkUrl(url, options = {}) {
+  return withHostSlot(new URL(url).hostname, remaining => requestStatus(url, { ...options, timeout: remaining }), {
+    timeout: options.timeout ?? TIMEOUT_MS
+  })
+}
+
+/**
+ * Sends the HEAD (or fallback GET) request behind checkUrl
+ */
+async function requestStatus(url, options) {
+  const { timeout = TIMEOUT_MS } = options
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    let result = await followRedirects(url, { method: 'HEAD', signal: controller.signal, options })
+    result.response.resume()
+
+    if ([405, 501].includes(result.response.statusCode)) {
+      result = await followRedirects(url, { signal: controller.signal, options })
+      result.response.destroy()
+    }
+
+    return {
+      status: result.response.statusCode,
+      finalUrl: result.finalUrl,
+      redirects: result.redirects.length
+    }
+
+  } catch (error) {
+    throw requestFailure(error, controller.signal)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+/**
+ * POSTs a JSON body (already serialised, so callers can sign the exact
+ * bytes) to a URL that passes the SSRF validation, pinned to the vetted
+ * address. Redirects are not followed and the response body is discarded;
+ * resolves to the response status.
+ */
+export async function postJson(url, body, { headers = {}, timeout = TIMEOUT_MS } = {}) {
+  const validation = await validateUrl(url)
+  if (!validation.valid) {
+    throw requestError(validation)
+  }
+
+  const controller = new AbortController()
+  const timeoutId = setTimeout(() => controller.abort(), timeout)
+
+  try {
+    const response = await requestOnce(validation.url, {
+      method: 'POST',
+      address: validation.address,
+      family: validation.family,
+      signal: controller.signal,
+      timing: {},
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'Connection': 'close',
+        ...headers
+      },
+      body
+    })
+    response.resume()
+    return { status: response.statusCode }
+
+  } catch (error) {
+    throw requestFailure(error, controller.signal)
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
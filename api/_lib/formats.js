@@ -0,0 +1,54 @@
+/* eslint-env node */
+import { extractMainContent } from './readability.js'
+import { htmlToMarkdown, htmlToText } from './markdown.js'
+
+export const OUTPUT_FORMATS = ['html', 'markdown', 'text', 'readable-html']
+
+/**
+ * Parses a comma-separated (or array) `format` option
+ */
+export function parseFormats(value) {
+  if (value === undefined || value === null || value === '') {
+    return { formats: ['html'] }
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  const formats = [...new Set(list.map(format => String(format).trim().toLowerCase()).filter(Boolean))]
+  const unknown = formats.filter(format => !OUTPUT_FORMATS.includes(format))
+  if (formats.length === 0 || unknown.length > 0) {
+    return { error: `\`format\` must be one or more of ${OUTPUT_FORMATS.join(', ')}` }
+  }
+
+  return { formats }
+}
+
+/**
+ * Builds the format-dependent part of a scrape response. Raw `html` is only
+ * included when requested; the readable formats share one main-content
+ * extraction and add an `article` summary with word count and reading time.
+ */
+export function renderFormats(html, formats, { pageUrl } = {}) {
+  const output = {}
+  if (formats.includes('html')) {
+    output.html = html
+  }
+
+  if (!formats.some(format => format !== 'html')) {
+    return output
+  }
+
+  const { content, ...article } = extractMainContent(html, { pageUrl })
+  if (formats.includes('markdown')) {
+    const markdown = htmlToMarkdown(content)
+    output.markdown = article.title && !/^#\s/.test(markdown) ? `# ${article.title}\n\n${markdown}` : markdown
+  }
+  if (formats.includes('text')) {
+    output.text = htmlToText(content)
+  }
+  if (formats.includes('readable-html')) {
+    output.readableHtml = content
+  }
+  output.article = article
+
+  return output
+}
@@ -0,0 +1,290 @@
+/* eslint-env node */
+
+// Navigation events `waitUntil` accepts (Puppeteer's lifecycle events)
+export const WAIT_UNTIL_EVENTS = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2']
+
+// Server-side bounds for the render steps of a dynamic scrape
+export const INTERACT_LIMITS = {
+  defaultMaxWait: 2000,
+  maxMaxWait: 20000,
+  defaultScrolls: 10,
+  maxScrolls: 50,
+  defaultScrollDelay: 500,
+  minScrollDelay: 100,
+  maxScrollDelay: 5000,
+  maxActions: 20,
+  maxActionWait: 10000,
+  maxTextLength: 1000,
+  maxFunctionLength: 2000
+}
+
+export const RENDER_KEYS = ['waitUntil', 'waitForSelector', 'waitForFunction', 'maxWait', 'scroll', 'actions']
+const ACTION_TYPES = ['click', 'type', 'select', 'press', 'wait']
+// How long an action waits for its element to appear
+const ACTION_TIMEOUT_MS = 5000
+// Network quiet period that ends the default extra wait early
+const NETWORK_IDLE_MS = 500
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.length <= max
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Reads a millisecond option given as a number (JSON) or numeric string
+ * (query string), clamped to [min, max]
+ */
+function parseMs(name, value, min, max) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0) {
+    return { error: `\`${name}\` must be a non-negative number of milliseconds` }
+  }
+  return { value: Math.min(Math.max(Math.round(number), min), max) }
+}
+
+/**
+ * Validates the `scroll` option: `true`, a maximum number of scrolls, or
+ * `{ maxScrolls, delay }`
+ */
+function parseScroll(scroll) {
+  if (scroll === undefined || scroll === false || scroll === 'false') {
+    return { scroll: null }
+  }
+
+  const settings = scroll === true || scroll === 'true'
+    ? {}
+    : typeof scroll === 'number' || typeof scroll === 'string' ? { maxScrolls: Number(scroll) } : scroll
+  if (!isPlainObject(settings)) {
+    return { error: '`scroll` must be true, a number of scrolls or { maxScrolls, delay }' }
+  }
+
+  const { maxScrolls = INTERACT_LIMITS.defaultScrolls, delay = INTERACT_LIMITS.defaultScrollDelay } = settings
+  if (!Number.isInteger(maxScrolls) || maxScrolls < 1) {
+    return { error: '`scroll.maxScrolls` must be a positive integer' }
+  }
+  const { value: scrollDelay, error } = parseMs('scroll.delay', delay, INTERACT_LIMITS.minScrollDelay, INTERACT_LIMITS.maxScrollDelay)
+  if (error) return { error }
+
+  return { scroll: { maxScrolls: Math.min(maxScrolls, INTERACT_LIMITS.maxScrolls), delay: scrollDelay } }
+}
+
+/**
+ * Validates one entry of the `actions` list, returning an error message or null
+ */
+function validateAction(action, index) {
+  const label = `actions[${index}]`
+  if (!isPlainObject(action) || !ACTION_TYPES.includes(action.type)) {
+    return `\`${label}.type\` must be one of ${ACTION_TYPES.join(', ')}`
+  }
+  if (action.optional !== undefined && typeof action.optional !== 'boolean') {
+    return `\`${label}.optional\` must be a boolean`
+  }
+
+  const needsSelector = ['click', 'type', 'select'].includes(action.type)
+  if ((needsSelector || action.selector !== undefined) && !isText(action.selector, INTERACT_LIMITS.maxTextLength)) {
+    return `\`${label}.selector\` must be a CSS selector string`
+  }
+
+  switch (action.type) {
+    case 'type':
+      if (typeof action.text !== 'string' || action.text.length > INTERACT_LIMITS.maxTextLength) {
+        return `\`${label}.text\` must be a string of at most ${INTERACT_LIMITS.maxTextLength} characters`
+      }
+      break
+    case 'select': {
+      const values = Array.isArray(action.value) ? action.value : [action.value]
+      if (values.length === 0 || values.some(value => typeof value !== 'string')) {
+        return `\`${label}.value\` must be a string or an array of strings`
+      }
+      break
+    }
+    case 'press':
+      if (!isText(action.key, 32)) {
+        return `\`${label}.key\` must be a key name such as "Enter"`
+      }
+      break
+    case 'wait':
+      if ((action.ms === undefined) === (action.selector === undefined)) {
+        return `\`${label}\` must have exactly one of \`ms\` or \`selector\``
+      }
+      if (action.ms !== undefined && (!Number.isFinite(action.ms) || action.ms < 0 || action.ms > INTERACT_LIMITS.maxActionWait)) {
+        return `\`${label}.ms\` must be between 0 and ${INTERACT_LIMITS.maxActionWait}`
+      }
+      break
+  }
+  return null
+}
+
+/**
+ * Validates the dynamic render options (see RENDER_KEYS) of a request body
+ * or query string and returns the render options they set: how navigation
+ * and the extra wait end, auto-scrolling and the actions run before capture
+ */
+export function parseRenderOptions(body) {
+  const render = {
+    waitUntil: 'networkidle2',
+    waitForSelector: null,
+    waitForFunction: null,
+    maxWait: INTERACT_LIMITS.defaultMaxWait,
+    scroll: null,
+    actions: []
+  }
+
+  if (body.waitUntil !== undefined && body.waitUntil !== '') {
+    if (!WAIT_UNTIL_EVENTS.includes(body.waitUntil)) {
+      return { error: `\`waitUntil\` must be one of ${WAIT_UNTIL_EVENTS.join(', ')}` }
+    }
+    render.waitUntil = body.waitUntil
+  }
+
+  if (body.waitForSelector !== undefined && body.waitForSelector !== '') {
+    if (!isText(body.waitForSelector, INTERACT_LIMITS.maxTextLength)) {
+      return { error: '`waitForSelector` must be a CSS selector string' }
+    }
+    render.waitForSelector = body.waitForSelector.trim()
+  }
+
+  if (body.waitForFunction !== undefined && body.waitForFunction !== '') {
+    if (!isText(body.waitForFunction, INTERACT_LIMITS.maxFunctionLength)) {
+      return { error: `\`waitForFunction\` must be a JavaScript expression of at most ${INTERACT_LIMITS.maxFunctionLength} characters` }
+    }
+    render.waitForFunction = body.waitForFunction
+  }
+
+  if (body.maxWait !== undefined && body.maxWait !== '') {
+    const { value, error } = parseMs('maxWait', body.maxWait, 0, INTERACT_LIMITS.maxMaxWait)
+    if (error) return { error }
+    render.maxWait = value
+  }
+
+  const { scroll, error: scrollError } = parseScroll(body.scroll)
+  if (scrollError) return { error: scrollError }
+  render.scroll = scroll
+
+  if (body.actions !== undefined) {
+    if (!Array.isArray(body.actions) || body.actions.length > INTERACT_LIMITS.maxActions) {
+      return { error: `\`actions\` must be an array of at most ${INTERACT_LIMITS.maxActions} steps` }
+    }
+    for (const [index, action] of body.actions.entries()) {
+      const error = validateAction(action, index)
+      if (error) return { error }
+    }
+    render.actions = body.actions.map(action => ({ ...action }))
+  }
+
+  return { render }
+}
+
+/**
+ * The extra wait after navigation: for `waitForSelector` and
+ * `waitForFunction` when given, otherwise until the network has been quiet
+ * for a moment. Never waits longer than `maxWait`; the result says whether
+ * the condition was met in time.
+ */
+export async function waitForContent(page, render, remaining) {
+  const startedAt = Date.now()
+  const timeout = Math.max(Math.min(render.maxWait, remaining()), 1)
+  const conditions = []
+  if (render.waitForSelector) conditions.push(page.waitForSelector(render.waitForSelector, { timeout }))
+  if (render.waitForFunction) conditions.push(page.waitForFunction(render.waitForFunction, { timeout }))
+
+  let satisfied = true
+  let error = null
+  if (conditions.length > 0) {
+    try {
+      await Promise.all(conditions)
+    } catch (waitError) {
+      satisfied = false
+      error = waitError.message
+    }
+  } else if (render.maxWait > 0) {
+    satisfied = await page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_MS, timeout }).then(() => true, () => false)
+  }
+
+  return { satisfied, waitedMs: Date.now() - startedAt, ...(error && { error }) }
+}
+
+/**
+ * Scrolls to the bottom of the page until it stops growing, `maxScrolls` is
+ * reached or time runs out, pausing `delay` ms after each scroll for lazy
+ * content to load
+ */
+export async function autoScroll(page, { maxScrolls, delay }, remaining) {
+  let height = await page.evaluate(() => document.body.scrollHeight)
+  let scrolls = 0
+  let reachedEnd = false
+
+  while (scrolls < maxScrolls && remaining() > delay) {
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight))
+    scrolls++
+    await sleep(delay)
+    const newHeight = await page.evaluate(() => document.body.scrollHeight)
+    if (newHeight <= height) {
+      reachedEnd = true
+      break
+    }
+    height = newHeight
+  }
+
+  return { scrolls, height, reachedEnd }
+}
+
+/**
+ * Runs one action on the page
+ */
+async function runAction(page, action, timeout) {
+  switch (action.type) {
+    case 'click':
+      await page.waitForSelector(action.selector, { visible: true, timeout })
+      await page.click(action.selector)
+      break
+    case 'type':
+      await page.waitForSelector(action.selector, { visible: true, timeout })
+      await page.type(action.selector, action.text)
+      break
+    case 'select':
+      await page.waitForSelector(action.selector, { timeout })
+      await page.select(action.selector, ...[].concat(action.value))
+      break
+    case 'press':
+      if (action.selector) {
+        await page.waitForSelector(action.selector, { timeout })
+        await page.focus(action.selector)
+      }
+      await page.keyboard.press(action.key)
+      break
+    case 'wait':
+      if (action.selector) await page.waitForSelector(action.selector, { timeout })
+      else await sleep(Math.min(action.ms, timeout))
+      break
+  }
+}
+
+/**
+ * Runs the actions in order and reports each one as
+ * `{ type, ok, skipped, ms, error }`.
+ * A failed step stops the remaining steps (reported as skipped) unless it is
+ * marked `optional`.
+ */
+export async function runActions(page, actions, remaining) {
+  const results = []
+  let stopped = false
+
+  for (const action of actions) {
+    if (stopped || remaining() <= 0) {
+      results.push({ type: action.type, ok: false, skipped: true, ms: 0, error: stopped ? null : 'Out of time' })
+      continue
+    }
+
+    const startedAt = Date.now()
+    const timeout = Math.max(Math.min(action.type === 'wait' ? INTERACT_LIMITS.maxActionWait : ACTION_TIMEOUT_MS, remaining()), 1)
+    try {
+      await runAction(page, action, timeout)
+      results.push({ type: action.type, ok: true, skipped: false, ms: Date.now() - startedAt, error: null })
+    } catch (error) {
+      results.push({ type: action.type, ok: false, skipped: false, ms: Date.now() - startedAt, error: error.message })
+      if (!action.optional) stopped = true
+    }
+  }
+
+  return results
+}
@@ -0,0 +1,187 @@
+/* eslint-env node */
+import { validateUrl, isBlockedAddress } from './ssrf.js'
+import { isEgressProxy } from './egress-proxy.js'
+import { parseCaptureJson } from './network.js'
+
+// Resource groups `blockResources` can skip, mapped to Chrome resource types
+export const RESOURCE_GROUPS = {
+  images: ['image'],
+  fonts: ['font'],
+  media: ['media'],
+  stylesheets: ['stylesheet'],
+  trackers: []
+}
+
+// Ad and analytics hosts skipped by the `trackers` group (subdomains included)
+export const TRACKER_HOSTS = [
+  'doubleclick.net',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'google-analytics.com',
+  'googletagmanager.com',
+  'adservice.google.com',
+  'connect.facebook.net',
+  'ads-twitter.com',
+  'analytics.tiktok.com',
+  'bat.bing.com',
+  'clarity.ms',
+  'hotjar.com',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'chartbeat.com',
+  'segment.io',
+  'cdn.segment.com',
+  'mixpanel.com',
+  'amplitude.com',
+  'nr-data.net',
+  'adnxs.com',
+  'criteo.com',
+  'taboola.com',
+  'outbrain.com'
+]
+
+export const NETWORK_KEYS = ['blockResources', 'har', 'captureJson']
+
+// Blocked requests listed in a render report; the rest are only counted
+const MAX_BLOCKED_LISTED = 50
+// Schemes that never reach the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:']
+
+const isTrackerHost = (hostname) => TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`))
+
+/**
+ * Validates the network options of a dynamic render: `blockResources`, a
+ * list (array or comma-separated) of RESOURCE_GROUPS to skip, and the `har`
+ * and `captureJson` recordings (see recordNetwork)
+ */
+export function parseNetworkOptions(body) {
+  const network = { blockResources: [], har: false, captureJson: null }
+
+  if (body.blockResources !== undefined && body.blockResources !== '') {
+    const list = Array.isArray(body.blockResources) ? body.blockResources : String(body.blockResources).split(',')
+    const groups = [...new Set(list.map(group => String(group).trim().toLowerCase()).filter(Boolean))]
+    const unknown = groups.filter(group => !Object.hasOwn(RESOURCE_GROUPS, group))
+    if (unknown.length > 0) {
+      return { error: `\`blockResources\` must be one or more of ${Object.keys(RESOURCE_GROUPS).join(', ')}` }
+    }
+    network.blockResources = groups
+  }
+
+  if (body.har !== undefined && body.har !== '') {
+    if (![true, false, 'true', 'false'].includes(body.har)) {
+      return { error: '`har` must be a boolean' }
+    }
+    network.har = body.har === true || body.har === 'true'
+  }
+
+  const { captureJson, error } = parseCaptureJson(body.captureJson)
+  if (error) return { error }
+  network.captureJson = captureJson
+
+  return { network }
+}
+
+/**
+ * Turns on request interception for a page. Every request the page makes,
+ * including redirects, frames, subresources, fetch/XHR and navigations,
+ * passes the same address checks as scraped URLs (one DNS lookup per origin
+ * per render) and is aborted when it fails them. Requests in the blocked
+ * resource groups are skipped. The egress proxy (see startEgressProxy)
+ * checks every connection again, WebSockets included, and pins it to the
+ * vetted address; WebRTC is removed from the page. A response that still
+ * comes from a blocked address sets `addressBlocked`, which fails the
+ * render. Returns the report, which fills in as the page loads:
+ * `requests`, `blocked` (up to 50 `{ url, resourceType, reason }`),
+ * `blockedCount`, `skippedCount`, `navigationBlocked` when the main frame
+ * itself was blocked, and `addressBlocked`. Custom `headers` are added to
+ * requests for `origin` only, so third parties and cross-origin redirects
+ * never see them.
+ */
+export async function interceptRequests(page, { blockResources = [], headers = {}, origin = null } = {}) {
+  const skippedTypes = new Set(blockResources.flatMap(group => RESOURCE_GROUPS[group]))
+  const skipTrackers = blockResources.includes('trackers')
+  // Chrome reports request headers in lower case; matching that lets custom headers replace its own
+  const originHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+  const verdicts = new Map()
+  const report = { requests: 0, blocked: [], blockedCount: 0, skippedCount: 0, navigationBlocked: null, addressBlocked: null }
+
+  // Service workers would fetch outside the interception
+  await page.setBypassServiceWorker(true)
+  await page.setRequestInterception(true)
+  // Peer connections are neither intercepted nor proxied
+  await page.evaluateOnNewDocument(() => {
+    for (const name of ['RTCPeerConnection', 'webkitRTCPeerConnection', 'RTCDataChannel']) {
+      delete window[name]
+    }
+  })
+
+  const checkOrigin = (url) => {
+    if (!verdicts.has(url.origin)) {
+      verdicts.set(url.origin, validateUrl(`${url.origin}/`))
+    }
+    return verdicts.get(url.origin)
+  }
+
+  const isMainNavigation = (request) => request.isNavigationRequest() && request.frame() === page.mainFrame()
+
+  const block = (request, reason) => {
+    report.blockedCount++
+    if (report.blocked.length < MAX_BLOCKED_LISTED) {
+      report.blocked.push({ url: request.url(), resourceType: request.resourceType(), reason })
+    }
+    if (isMainNavigation(request)) {
+      report.navigationBlocked = reason
+    }
+    return request.abort('blockedbyclient')
+  }
+
+  const decide = async (request) => {
+    let url
+    try {
+      url = new URL(request.url())
+    } catch (error) {
+      return block(request, 'Invalid URL format')
+    }
+    if (LOCAL_SCHEMES.includes(url.protocol)) {
+      return request.continue()
+    }
+
+    report.requests++
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return block(request, 'Only HTTP and HTTPS URLs are allowed')
+    }
+    if (url.username || url.password) {
+      return block(request, 'URLs with credentials are not allowed')
+    }
+
+    const resourceType = request.resourceType()
+    if (skippedTypes.has(resourceType) || (skipTrackers && !isMainNavigation(request) && isTrackerHost(url.hostname))) {
+      report.skippedCount++
+      return request.abort('blockedbyclient')
+    }
+
+    const verdict = await checkOrigin(url)
+    if (!verdict.valid) {
+      return block(request, verdict.error)
+    }
+    if (url.origin === origin && Object.keys(originHeaders).length > 0) {
+      return request.continue({ headers: { ...request.headers(), ...originHeaders } })
+    }
+    return request.continue()
+  }
+
+  page.on('request', (request) => {
+    // Requests can outlive their page; a late decision has nothing to act on
+    decide(request).catch(() => {})
+  })
+
+  // Catches connections that reached a private address anyway, such as from a browser launched without the proxy
+  page.on('response', (response) => {
+    const address = response.remoteAddress()
+    if (!report.addressBlocked && address?.ip && !isEgressProxy(address) && isBlockedAddress(address.ip)) {
+      report.addressBlocked = `${response.url()} was served from the private address ${address.ip}`
+    }
+  })
+
+  return report
+}
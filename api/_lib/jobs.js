@@ -0,0 +1,290 @@
+/* eslint-env node */
+import crypto from 'crypto'
+import { validateUrl } from './ssrf.js'
+import { postJson } from './fetch.js'
+import { getStore } from './store.js'
+import { ApiError } from './errors.js'
+import { prepareScrape, prepareBatch, prepareCrawl } from './tasks.js'
+
+// Job types and the function that validates and prepares each one
+const JOB_TYPES = {
+  scrape: prepareScrape,
+  batch: prepareBatch,
+  crawl: prepareCrawl
+}
+
+// Jobs are not bound by a single request's maxDuration, so they get a longer budget
+export const JOB_BUDGET_MS = Number(process.env.JOB_BUDGET_MS) || 5 * 60 * 1000 // 5 minutes
+// Finished jobs are kept this long before they are removed from the store
+export const JOB_TTL_MS = 60 * 60 * 1000 // 1 hour
+// Jobs started by this process at the same time; the rest wait in order
+const JOB_CONCURRENCY = 2
+
+const WEBHOOK_TIMEOUT_MS = 5000 // 5 seconds
+const WEBHOOK_RETRY_DELAYS_MS = [1000, 5000] // two retries after the first attempt
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled']
+
+// Abort controllers of the jobs running in this process, by job ID
+const controllers = new Map()
+// Pending store updates, by job ID, so read-modify-write cycles never interleave
+const updates = new Map()
+const queue = []
+let running = 0
+
+/**
+ * Applies `change(job)` to the stored job, one update per job at a time.
+ * `change` returns the new job, or null to leave it unchanged. Resolves to
+ * the job after the update, or null when it does not exist.
+ */
+function updateJob(id, change) {
+  const previous = updates.get(id) || Promise.resolve()
+  const next = previous.then(async () => {
+    const store = getStore('jobs')
+    const job = await store.get(id)
+    if (!job) return null
+    const updated = change(job)
+    if (updated) await store.set(updated)
+    return updated || job
+  })
+
+  const tail = next.catch(() => {})
+  updates.set(id, tail)
+  tail.then(() => {
+    if (updates.get(id) === tail) updates.delete(id)
+  })
+  return next
+}
+
+/**
+ * Runs queued jobs while fewer than JOB_CONCURRENCY are in flight
+ */
+function drain() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    const start = queue.shift()
+    running++
+    start().finally(() => {
+      running--
+      drain()
+    })
+  }
+}
+
+/**
+ * Signs a webhook body: an HMAC-SHA256 of `<timestamp>.<body>` keyed with
+ * WEBHOOK_SECRET, in the form `t=<timestamp>,v1=<hex digest>`
+ */
+export function signWebhook(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return `t=${timestamp},v1=${digest}`
+}
+
+/**
+ * POSTs the finished job to its callback URL, retrying failed deliveries,
+ * and records the outcome on the job. The URL is validated again on every
+ * attempt, so a host that re-resolves to a blocked address is refused.
+ */
+async function deliverWebhook(job) {
+  const body = JSON.stringify({ event: `job.${job.status}`, job })
+  const callback = { ...job.callback, attempts: 0 }
+
+  for (let attempt = 0; attempt <= WEBHOOK_RETRY_DELAYS_MS.length; attempt++) {
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAYS_MS[attempt - 1]))
+    }
+    callback.attempts++
+
+    try {
+      const timestamp = Math.floor(Date.now() / 1000)
+      const { status } = await postJson(callback.url, body, {
+        timeout: WEBHOOK_TIMEOUT_MS,
+        headers: {
+          'X-Webhook-Event': `job.${job.status}`,
+          'X-Webhook-Id': job.id,
+          'X-Webhook-Signature': signWebhook(body, timestamp)
+        }
+      })
+      callback.responseStatus = status
+      if (status >= 200 && status < 300) {
+        callback.status = 'delivered'
+        callback.error = null
+        callback.deliveredAt = new Date().toISOString()
+        break
+      }
+      callback.status = 'failed'
+      callback.error = `HTTP ${status}`
+    } catch (error) {
+      callback.status = 'failed'
+      callback.error = error.message
+    }
+  }
+
+  await updateJob(job.id, (current) => ({ ...current, callback }))
+}
+
+/**
+ * Runs a prepared task for a queued job, saving progress as items finish.
+ * A job cancelled while queued never starts; one cancelled while running
+ * (in this process or, with a shared store, in another) is aborted and
+ * keeps its partial result.
+ */
+async function runJob(id, task) {
+  const controller = new AbortController()
+  controllers.set(id, controller)
+  const abortIfCancelled = (job) => {
+    if (job.status === 'cancelled') controller.abort()
+    return job.status === 'cancelled'
+  }
+
+  try {
+    const started = await updateJob(id, (job) => (abortIfCancelled(job) ? null : { ...job, status: 'running', startedAt: new Date().toISOString() }))
+    if (!started) return
+
+    let done = 0
+    let final
+    if (!controller.signal.aborted) {
+      try {
+        const result = await task.run({
+          budget: JOB_BUDGET_MS,
+          signal: controller.signal,
+          onItem: () => {
+            done++
+            // Writes for a job run in order (see updateJob); a failed progress write is superseded by the next one
+            updateJob(id, (job) => (abortIfCancelled(job) ? null : { ...job, progress: { ...job.progress, done } })).catch(() => {})
+          }
+        })
+        final = (job) => (job.status === 'cancelled'
+          ? { ...job, progress: { ...job.progress, done }, result }
+          : { ...job, status: 'completed', progress: { done: done || job.progress.total, total: done || job.progress.total }, result })
+      } catch (error) {
+        const code = error instanceof ApiError ? error.code : 'INTERNAL'
+        final = (job) => (job.status === 'cancelled' ? null : { ...job, status: 'failed', error: error.message, code })
+      }
+    }
+
+    const finishedAt = new Date()
+    const job = await updateJob(id, (current) => {
+      const updated = final?.(current) || { ...current }
+      return {
+        ...updated,
+        finishedAt: current.finishedAt || finishedAt.toISOString(),
+        expiresAt: new Date(finishedAt.getTime() + JOB_TTL_MS).toISOString()
+      }
+    })
+
+    if (job?.callback) {
+      await deliverWebhook(job)
+    }
+  } catch (error) {
+    console.error(`Job ${id} error:`, error)
+  } finally {
+    controllers.delete(id)
+  }
+}
+
+/**
+ * Removes finished jobs whose retention period has passed
+ */
+async function pruneJobs() {
+  const store = getStore('jobs')
+  const now = Date.now()
+  for (const job of await store.list()) {
+    if (job.expiresAt && Date.parse(job.expiresAt) < now) {
+      await store.delete(job.id)
+    }
+  }
+}
+
+/**
+ * Validates a job request (`type`, an optional `callbackUrl` and the options
+ * of that job type) and queues the job. Resolves to `{ valid, error }` or to
+ * `{ valid, job }` with the newly queued job.
+ */
+export async function submitJob(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' }
+  }
+
+  const { type, callbackUrl, ...taskBody } = body
+  if (!Object.hasOwn(JOB_TYPES, type)) {
+    return { valid: false, error: `\`type\` must be one of: ${Object.keys(JOB_TYPES).join(', ')}` }
+  }
+
+  let callback = null
+  if (callbackUrl !== undefined) {
+    if (typeof callbackUrl !== 'string') {
+      return { valid: false, error: '`callbackUrl` must be a string' }
+    }
+    if (!process.env.WEBHOOK_SECRET) {
+      return { valid: false, error: 'Callbacks are disabled: WEBHOOK_SECRET is not configured on the server' }
+    }
+    const validation = await validateUrl(callbackUrl)
+    if (!validation.valid) {
+      return { valid: false, code: validation.code, error: `Invalid callbackUrl: ${validation.error}` }
+    }
+    callback = { url: validation.url.href, status: 'pending', attempts: 0, responseStatus: null, error: null, deliveredAt: null }
+  }
+
+  const task = await JOB_TYPES[type](taskBody)
+  if (!task.valid) {
+    return { valid: false, error: task.error }
+  }
+  if (task.stream) {
+    return { valid: false, error: '`stream` is not supported for jobs; poll the job status instead' }
+  }
+
+  await pruneJobs()
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    mode: task.mode,
+    ...(task.recipe && { recipe: task.recipe.name }),
+    status: 'queued',
+    progress: { done: 0, total: task.total },
+    result: null,
+    error: null,
+    callback,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    expiresAt: null
+  }
+  await getStore('jobs').set(job)
+
+  queue.push(() => runJob(job.id, task))
+  drain()
+  return { valid: true, job }
+}
+
+/**
+ * Resolves to a job by ID, or null when it does not exist or has expired
+ */
+export async function getJob(id) {
+  const store = getStore('jobs')
+  const job = await store.get(id)
+  if (job?.expiresAt && Date.parse(job.expiresAt) < Date.now()) {
+    await store.delete(id)
+    return null
+  }
+  return job
+}
+
+/**
+ * Cancels a queued or running job. Resolves to `{ job, cancelled }`, where
+ * `cancelled` is false when the job had already finished, or to null when
+ * the job does not exist.
+ */
+export async function cancelJob(id) {
+  if (!(await getJob(id))) return null
+
+  let cancelled = false
+  const job = await updateJob(id, (current) => {
+    if (FINISHED_STATUSES.includes(current.status)) return null
+    cancelled = true
+    return { ...current, status: 'cancelled', finishedAt: new Date().toISOString() }
+  })
+
+  if (cancelled) controllers.get(id)?.abort()
+  return { job, cancelled }
+}
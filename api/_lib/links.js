@@ -0,0 +1,149 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+import { URL } from 'url'
+import { checkUrl } from './fetch.js'
+import { mapWithConcurrency } from './concurrency.js'
+
+// Bounds for the optional dead-link check
+export const LINK_CHECK_CONCURRENCY = 5
+export const LINK_CHECK_TIMEOUT_MS = 3000
+export const LINK_CHECK_MAX_LINKS = 100
+export const LINK_CHECK_BUDGET_MS = 15000
+
+const LINK_TYPES = ['internal', 'external', 'mailto', 'tel', 'anchor', 'other']
+
+// rel values that matter for SEO and are reported as flags
+const REL_FLAGS = ['nofollow', 'sponsored', 'ugc']
+
+const clean = (value) => (value || '').replace(/\s+/g, ' ').trim()
+
+// www.example.com and example.com count as the same site
+const siteHost = (hostname) => hostname.toLowerCase().replace(/^www\./, '')
+
+/**
+ * Classifies a link relative to the page it appears on
+ */
+function classify(rawHref, url, pageUrl) {
+  if (rawHref.startsWith('#')) return 'anchor'
+  if (!url) return 'other'
+  if (url.protocol === 'mailto:') return 'mailto'
+  if (url.protocol === 'tel:') return 'tel'
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return 'other'
+  if (pageUrl && siteHost(url.hostname) === siteHost(pageUrl.hostname)) return 'internal'
+  return 'external'
+}
+
+/**
+ * Counts links per type and per rel flag
+ */
+function summarize(items) {
+  const summary = { total: items.length }
+  for (const type of LINK_TYPES) {
+    summary[type] = items.filter(item => item.type === type).length
+  }
+  for (const flag of REL_FLAGS) {
+    summary[flag] = items.filter(item => item[flag]).length
+  }
+  summary.unique = new Set(items.map(item => item.url || item.href)).size
+  return summary
+}
+
+/**
+ * Lists every `<a href>` and `<area href>` on a page with its absolute URL,
+ * type (internal, external, mailto, tel, anchor or other), anchor text,
+ * target and rel flags. Relative URLs are resolved against `<base href>`
+ * and `pageUrl` (the final URL after redirects).
+ */
+export function extractLinks(html, { pageUrl } = {}) {
+  const $ = cheerio.load(html)
+
+  let baseUrl = pageUrl
+  const baseHref = $('base[href]').first().attr('href')
+  if (baseHref) {
+    try {
+      baseUrl = new URL(baseHref, pageUrl).href
+    } catch (error) {
+      // Ignore an unusable <base> and fall back to the page URL
+    }
+  }
+
+  const page = pageUrl ? new URL(pageUrl) : null
+  const items = $('a[href], area[href]').toArray().map(element => {
+    const node = $(element)
+    const href = node.attr('href').trim()
+    let url = null
+    try {
+      url = new URL(href, baseUrl)
+    } catch (error) {
+      // Left unresolved and classified as "other"
+    }
+
+    const rel = (node.attr('rel') || '').toLowerCase().split(/\s+/).filter(Boolean)
+    const item = {
+      href,
+      url: url ? url.href : null,
+      type: classify(href, url, page),
+      text: clean(node.text()) || clean(node.attr('aria-label')) || clean(node.attr('title')) || clean(node.find('img[alt]').first().attr('alt')) || clean(node.attr('alt')),
+      rel,
+      target: node.attr('target') || null
+    }
+    for (const flag of REL_FLAGS) {
+      item[flag] = rel.includes(flag)
+    }
+    return item
+  })
+
+  return { items, summary: summarize(items) }
+}
+
+/**
+ * Checks the internal and external links of a report with HEAD requests,
+ * at most LINK_CHECK_CONCURRENCY at a time. Each URL (ignoring fragments)
+ * is checked once, every request goes through the SSRF guard, and links
+ * beyond LINK_CHECK_MAX_LINKS or past the time budget are left unchecked.
+ * Every checkable item gains `check: { status, ok, finalUrl, error }`.
+ *
+ * Only the user agent and language are forwarded; custom headers and cookies
+ * were meant for the scraped page, not for the sites it links to.
+ */
+export async function checkLinks(report, { budget = LINK_CHECK_BUDGET_MS, userAgent, acceptLanguage } = {}) {
+  const deadline = Date.now() + budget
+  const checkable = report.items.filter(item => item.type === 'internal' || item.type === 'external')
+  const urls = [...new Set(checkable.map(item => item.url.split('#')[0]))]
+
+  const results = await mapWithConcurrency(urls, LINK_CHECK_CONCURRENCY, async (url, index) => {
+    if (index >= LINK_CHECK_MAX_LINKS) {
+      return { status: null, ok: null, finalUrl: null, error: `Not checked (limit of ${LINK_CHECK_MAX_LINKS} links)` }
+    }
+
+    const remaining = deadline - Date.now()
+    if (remaining <= 0) {
+      return { status: null, ok: null, finalUrl: null, error: 'Not checked (time budget exhausted)' }
+    }
+
+    try {
+      const result = await checkUrl(url, { timeout: Math.min(LINK_CHECK_TIMEOUT_MS, remaining), userAgent, acceptLanguage })
+      return { status: result.status, ok: result.status < 400, finalUrl: result.finalUrl, error: null }
+    } catch (error) {
+      const blocked = error.code === 'BLOCKED_ADDRESS'
+      return { status: null, ok: false, finalUrl: null, error: error.message, ...(blocked && { blocked }) }
+    }
+  })
+
+  const checks = new Map(urls.map((url, index) => [url, results[index]]))
+  for (const item of checkable) {
+    item.check = checks.get(item.url.split('#')[0])
+  }
+
+  const checked = results.filter(result => result.ok !== null)
+  return {
+    items: report.items,
+    summary: {
+      ...report.summary,
+      checked: checked.length,
+      broken: checked.filter(result => !result.ok && !result.blocked).length,
+      blocked: checked.filter(result => result.blocked).length,
+      unchecked: results.length - checked.length
+    }
+  }
+}
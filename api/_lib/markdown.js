@@ -0,0 +1,219 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+
+const BLOCK_TAGS = ['address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul']
+
+// Blocks that start a new line without a blank line before them
+const LINE_TAGS = ['dd', 'dt', 'li', 'tr']
+
+// Link schemes that run code or embed content when followed; browsers ignore case, surrounding
+// whitespace and tabs or newlines inside the scheme, so those are stripped before matching
+const UNSAFE_SCHEME = /^\s*(javascript|vbscript|data):/i
+
+/**
+ * Escapes characters that would otherwise start Markdown syntax
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/^(\s*)([#+-]|\d+\.)(\s)/, '$1\\$2$3')
+}
+
+/**
+ * Collapses runs of blank lines, drops the stray space that inline
+ * whitespace leaves at the start of a line, and trims the result. Fenced
+ * code blocks are left untouched.
+ */
+function tidy(markdown) {
+  return markdown
+    .split(/((?<=^|\n)```[^\n]*\n[\s\S]*?\n```(?=\n|$))/)
+    .map((part, index) => (index % 2 === 1 ? part : part
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n (?=\S)/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')))
+    .join('')
+    .trim()
+}
+
+/**
+ * Converts inline children to a single line of Markdown
+ */
+function inline($, nodes) {
+  return nodes.map(node => convertNode($, node, { inline: true })).join('').replace(/\s+/g, ' ')
+}
+
+/**
+ * Renders a <table> as a GitHub-flavoured Markdown table
+ */
+function convertTable($, table) {
+  const rows = $(table).find('tr').toArray().map(row =>
+    $(row).children('th, td').toArray().map(cell => inline($, $(cell).contents().toArray()).trim())
+  ).filter(row => row.length > 0)
+
+  if (rows.length === 0) return ''
+
+  const width = Math.max(...rows.map(row => row.length))
+  const pad = (row) => [...row, ...Array(width - row.length).fill('')]
+  const [header, ...body] = rows.map(pad)
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ]
+  return `\n\n${lines.join('\n')}\n\n`
+}
+
+/**
+ * Renders a <ul> or <ol>, indenting nested lists under their item
+ */
+function convertList($, list, depth) {
+  const ordered = list.name === 'ol'
+  const start = parseInt($(list).attr('start') || '1', 10) || 1
+  const indent = '   '.repeat(depth)
+
+  const items = $(list).children('li').toArray().map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-'
+    const parts = []
+    let text = ''
+    for (const child of $(item).contents().toArray()) {
+      if (child.type === 'tag' && (child.name === 'ul' || child.name === 'ol')) {
+        parts.push(convertList($, child, depth + 1).replace(/^\n+|\n+$/g, ''))
+      } else {
+        text += convertNode($, child, { inline: false, depth })
+      }
+    }
+    const body = tidy(text).replace(/\n/g, `\n${indent}   `)
+    return [`${indent}${marker} ${body}`, ...parts].join('\n')
+  })
+
+  return `\n\n${items.join('\n')}\n\n`
+}
+
+/**
+ * Converts one DOM node (and its subtree) to Markdown
+ */
+function convertNode($, node, context = {}) {
+  if (node.type === 'text') {
+    const text = node.data.replace(/\s+/g, ' ')
+    return escapeMarkdown(text)
+  }
+  if (node.type !== 'tag') return ''
+
+  const children = () => $(node).contents().toArray().map(child => convertNode($, child, context)).join('')
+  const name = node.name
+
+  switch (name) {
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+      const text = inline($, $(node).contents().toArray()).trim()
+      return text ? `\n\n${'#'.repeat(Number(name[1]))} ${text}\n\n` : ''
+    }
+    case 'p':
+    case 'div':
+    case 'section':
+    case 'article':
+    case 'main':
+    case 'header':
+    case 'figure':
+    case 'details':
+    case 'summary':
+      return `\n\n${children().trim()}\n\n`
+    case 'figcaption':
+      return `\n\n*${inline($, $(node).contents().toArray()).trim()}*\n\n`
+    case 'br':
+      return '  \n'
+    case 'hr':
+      return '\n\n---\n\n'
+    case 'strong':
+    case 'b': {
+      const text = children().trim()
+      return text ? `**${text}**` : ''
+    }
+    case 'em':
+    case 'i': {
+      const text = children().trim()
+      return text ? `*${text}*` : ''
+    }
+    case 'del':
+    case 's': {
+      const text = children().trim()
+      return text ? `~~${text}~~` : ''
+    }
+    case 'code': {
+      if (node.parent && node.parent.name === 'pre') return $(node).text()
+      const text = $(node).text()
+      const fence = text.includes('`') ? '``' : '`'
+      return `${fence}${text}${fence}`
+    }
+    case 'pre': {
+      const code = $(node).text().replace(/\n$/, '')
+      const className = $(node).find('code').attr('class') || ''
+      const language = (className.match(/language-([\w-]+)/) || [])[1] || ''
+      return `\n\n\`\`\`${language}\n${code}\n\`\`\`\n\n`
+    }
+    case 'blockquote': {
+      const text = tidy(children())
+      return `\n\n${text.split('\n').map(line => `> ${line}`).join('\n')}\n\n`
+    }
+    case 'ul':
+    case 'ol':
+      return convertList($, node, context.depth || 0)
+    case 'li':
+      return `\n- ${children().trim()}\n`
+    case 'table':
+      return convertTable($, node)
+    case 'a': {
+      const text = inline($, $(node).contents().toArray()).trim()
+      const href = $(node).attr('href')?.trim()
+      if (!href || UNSAFE_SCHEME.test(href.replace(/[\t\n\r]/g, ''))) return text
+      const title = $(node).attr('title')
+      return `[${text || href}](${href.replace(/\)/g, '%29')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`
+    }
+    case 'img': {
+      const src = $(node).attr('src')
+      if (!src) return ''
+      const alt = ($(node).attr('alt') || '').replace(/[[\]]/g, '')
+      return `![${alt}](${src.replace(/\)/g, '%29')})`
+    }
+    case 'script':
+    case 'style':
+    case 'noscript':
+    case 'template':
+      return ''
+    default:
+      return children()
+  }
+}
+
+/**
+ * Converts an HTML fragment to Markdown, preserving headings, lists,
+ * tables, links, images, emphasis and code blocks
+ */
+export function htmlToMarkdown(html) {
+  const $ = cheerio.load(html, null, false)
+  return tidy($.root().contents().toArray().map(node => convertNode($, node)).join(''))
+}
+
+/**
+ * Converts an HTML fragment to plain text with one blank line between blocks
+ */
+export function htmlToText(html) {
+  const $ = cheerio.load(html, null, false)
+  $('script, style, noscript, template').remove()
+  $('br').replaceWith('\n')
+  $('img').each((_, image) => {
+    const alt = $(image).attr('alt')
+    $(image).replaceWith(alt ? `[${alt}]` : '')
+  })
+  $('td, th').each((_, cell) => { $(cell).append('\t') })
+  $(LINE_TAGS.join(', ')).each((_, line) => {
+    $(line).prepend('\n')
+  })
+  $(BLOCK_TAGS.join(', ')).each((_, block) => {
+    $(block).prepend('\n\n').append('\n\n')
+  })
+  return $.root().text()
+    .replace(/[ \t\r\f\v]+/g, (whitespace) => (whitespace.includes('\t') ? '\t' : ' '))
+    .split('\n').map(line => line.trim()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
@@ -0,0 +1,284 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+import { URL } from 'url'
+
+// OpenGraph namespaces collected into `openGraph`
+const OPEN_GRAPH_PREFIXES = ['og', 'article', 'book', 'profile', 'product', 'music', 'video']
+
+// OpenGraph structured properties that start a new object when repeated
+const OPEN_GRAPH_MEDIA = ['image', 'video', 'audio']
+
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json']
+
+// Microdata elements whose value is a URL attribute rather than their text
+const MICRODATA_URL_ATTRIBUTES = {
+  a: 'href',
+  area: 'href',
+  link: 'href',
+  audio: 'src',
+  embed: 'src',
+  iframe: 'src',
+  img: 'src',
+  source: 'src',
+  track: 'src',
+  video: 'src',
+  object: 'data'
+}
+
+const clean = (value) => (value || '').replace(/\s+/g, ' ').trim()
+
+/**
+ * Resolves a possibly relative URL, returning null when it cannot be parsed
+ */
+function absolutize(value, baseUrl) {
+  if (!value) return null
+  try {
+    return new URL(value.trim(), baseUrl).href
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Adds a value under a key, turning repeated keys into arrays
+ */
+function addValue(target, key, value) {
+  if (!(key in target)) {
+    target[key] = value
+  } else if (Array.isArray(target[key])) {
+    target[key].push(value)
+  } else {
+    target[key] = [target[key], value]
+  }
+}
+
+/**
+ * Collects OpenGraph properties. `og:image`, `og:video` and `og:audio`
+ * become arrays of objects so their `:width`/`:alt` etc. stay attached to
+ * the right media item; other namespaces (article:, product:, ...) are
+ * nested under their prefix.
+ */
+function readOpenGraph($, baseUrl) {
+  const openGraph = {}
+
+  $('meta[property], meta[name^="og:"]').each((_, meta) => {
+    const property = ($(meta).attr('property') || $(meta).attr('name') || '').trim().toLowerCase()
+    const content = $(meta).attr('content')
+    const [prefix, ...rest] = property.split(':')
+    if (!OPEN_GRAPH_PREFIXES.includes(prefix) || rest.length === 0 || content === undefined) return
+
+    if (prefix !== 'og') {
+      openGraph[prefix] = openGraph[prefix] || {}
+      addValue(openGraph[prefix], rest.join(':'), content.trim())
+      return
+    }
+
+    const [name, detail] = rest
+    if (OPEN_GRAPH_MEDIA.includes(name)) {
+      const key = `${name}s`
+      openGraph[key] = openGraph[key] || []
+      const items = openGraph[key]
+      if (!detail || detail === 'url') {
+        // A second url for the same item is ignored; a new bare og:image starts a new item
+        if (!detail || items.length === 0 || items[items.length - 1].url) {
+          items.push({ url: absolutize(content, baseUrl) })
+        } else {
+          items[items.length - 1].url = absolutize(content, baseUrl)
+        }
+      } else if (items.length > 0) {
+        const value = detail === 'secure_url' ? absolutize(content, baseUrl) : content.trim()
+        items[items.length - 1][detail.replace(/_(\w)/g, (_, letter) => letter.toUpperCase())] = value
+      }
+      return
+    }
+
+    addValue(openGraph, rest.join(':'), content.trim())
+  })
+
+  return openGraph
+}
+
+/**
+ * Collects Twitter card properties (twitter:card, twitter:image:alt, ...)
+ */
+function readTwitterCard($) {
+  const twitter = {}
+  $('meta[name^="twitter:"], meta[property^="twitter:"]').each((_, meta) => {
+    const name = ($(meta).attr('name') || $(meta).attr('property')).slice('twitter:'.length).toLowerCase()
+    const content = $(meta).attr('content')
+    if (name && content !== undefined) addValue(twitter, name, content.trim())
+  })
+  return twitter
+}
+
+/**
+ * Lists favicons and touch icons, falling back to /favicon.ico
+ */
+function readFavicons($, baseUrl) {
+  const icons = $('link[rel]').toArray()
+    .filter(link => /(^|\s)(icon|apple-touch-icon|apple-touch-icon-precomposed|mask-icon)(\s|$)/i.test($(link).attr('rel')))
+    .map(link => ({
+      href: absolutize($(link).attr('href'), baseUrl),
+      rel: $(link).attr('rel').toLowerCase(),
+      sizes: $(link).attr('sizes') || null,
+      type: $(link).attr('type') || null
+    }))
+    .filter(icon => icon.href)
+
+  if (icons.length === 0 && baseUrl) {
+    icons.push({ href: absolutize('/favicon.ico', baseUrl), rel: 'icon', sizes: null, type: null, implicit: true })
+  }
+  return icons
+}
+
+/**
+ * Parses every JSON-LD block, flattening @graph containers. Blocks that are
+ * not valid JSON are reported instead of being dropped silently.
+ */
+function readJsonLd($) {
+  const items = []
+  $('script[type="application/ld+json"]').each((index, script) => {
+    const source = $(script).text().trim()
+    if (!source) return
+    try {
+      const parsed = JSON.parse(source)
+      for (const entry of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (entry && Array.isArray(entry['@graph'])) {
+          const context = entry['@context']
+          items.push(...entry['@graph'].map(node => (context && !node['@context'] ? { '@context': context, ...node } : node)))
+        } else {
+          items.push(entry)
+        }
+      }
+    } catch (error) {
+      items.push({ error: `Invalid JSON-LD in block ${index + 1}: ${error.message}` })
+    }
+  })
+  return items
+}
+
+/**
+ * Reads a microdata property value following the HTML spec rules
+ */
+function microdataValue($, element, baseUrl, readItem) {
+  const node = $(element)
+  if (node.is('[itemscope]')) return readItem(element)
+
+  const tag = element.name
+  if (tag === 'meta') return node.attr('content') ?? ''
+  if (MICRODATA_URL_ATTRIBUTES[tag]) return absolutize(node.attr(MICRODATA_URL_ATTRIBUTES[tag]), baseUrl)
+  if (tag === 'data' || tag === 'meter') return node.attr('value') ?? ''
+  if (tag === 'time') return node.attr('datetime') ?? clean(node.text())
+  return clean(node.text())
+}
+
+/**
+ * Parses top-level microdata items (itemscope without itemprop)
+ */
+function readMicrodata($, baseUrl) {
+  const readItem = (scope) => {
+    const item = {
+      type: ($(scope).attr('itemtype') || '').split(/\s+/).filter(Boolean),
+      id: $(scope).attr('itemid') || null,
+      properties: {}
+    }
+
+    // Properties belong to the nearest enclosing itemscope
+    $(scope).find('[itemprop]').each((_, element) => {
+      const owner = $(element).parent().closest('[itemscope]')[0]
+      if (owner !== scope) return
+      const value = microdataValue($, element, baseUrl, readItem)
+      for (const name of $(element).attr('itemprop').split(/\s+/).filter(Boolean)) {
+        item.properties[name] = item.properties[name] || []
+        item.properties[name].push(value)
+      }
+    })
+    return item
+  }
+
+  return $('[itemscope]').not('[itemprop]').toArray().map(readItem)
+}
+
+/**
+ * Parses top-level RDFa Lite items (typeof without property)
+ */
+function readRdfa($, baseUrl) {
+  const readValue = (element, readItem) => {
+    const node = $(element)
+    if (node.is('[typeof]')) return readItem(element)
+    if (node.attr('content') !== undefined) return node.attr('content')
+    const url = node.attr('resource') || node.attr('href') || node.attr('src')
+    if (url) return absolutize(url, baseUrl)
+    return clean(node.text())
+  }
+
+  const readItem = (scope) => {
+    const vocab = $(scope).closest('[vocab]').attr('vocab') || null
+    const item = {
+      vocab,
+      type: ($(scope).attr('typeof') || '').split(/\s+/).filter(Boolean),
+      resource: absolutize($(scope).attr('resource'), baseUrl),
+      properties: {}
+    }
+
+    $(scope).find('[property]').each((_, element) => {
+      const owner = $(element).parent().closest('[typeof]')[0]
+      if (owner !== scope) return
+      const value = readValue(element, readItem)
+      for (const name of $(element).attr('property').split(/\s+/).filter(Boolean)) {
+        item.properties[name] = item.properties[name] || []
+        item.properties[name].push(value)
+      }
+    })
+    return item
+  }
+
+  return $('[typeof]').not('[property]').toArray().map(readItem)
+}
+
+/**
+ * Extracts structured page metadata: canonical URL, language, favicons,
+ * OpenGraph, Twitter card, hreflang and feed alternates, and JSON-LD,
+ * microdata and RDFa items. Relative URLs are resolved against `<base href>`
+ * and `pageUrl` (the final URL after redirects).
+ */
+export function extractMetadata(html, { pageUrl } = {}) {
+  const $ = cheerio.load(html)
+
+  let baseUrl = pageUrl
+  const baseHref = $('base[href]').first().attr('href')
+  if (baseHref) {
+    baseUrl = absolutize(baseHref, pageUrl) || pageUrl
+  }
+
+  const openGraph = readOpenGraph($, baseUrl)
+
+  return {
+    title: clean($('title').first().text()) || null,
+    description: clean($('meta[name="description" i]').attr('content')) || null,
+    keywords: ($('meta[name="keywords" i]').attr('content') || '').split(',').map(clean).filter(Boolean),
+    author: clean($('meta[name="author" i]').attr('content')) || null,
+    robots: clean($('meta[name="robots" i]').attr('content')) || null,
+    canonicalUrl: absolutize($('link[rel~="canonical" i]').attr('href'), baseUrl),
+    language: clean($('html').attr('lang')) || clean($('meta[http-equiv="content-language" i]').attr('content')) || openGraph.locale || null,
+    favicons: readFavicons($, baseUrl),
+    openGraph,
+    twitter: readTwitterCard($),
+    alternates: {
+      hreflang: $('link[rel~="alternate" i][hreflang]').toArray().map(link => ({
+        hreflang: $(link).attr('hreflang'),
+        href: absolutize($(link).attr('href'), baseUrl)
+      })),
+      feeds: $('link[rel~="alternate" i][type]').toArray()
+        .filter(link => FEED_TYPES.includes(($(link).attr('type') || '').toLowerCase()))
+        .map(link => ({
+          type: $(link).attr('type').toLowerCase(),
+          title: clean($(link).attr('title')) || null,
+          href: absolutize($(link).attr('href'), baseUrl)
+        }))
+    },
+    jsonLd: readJsonLd($),
+    microdata: readMicrodata($, baseUrl),
+    rdfa: readRdfa($, baseUrl)
+  }
+}
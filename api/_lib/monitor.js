@@ -0,0 +1,295 @@
+/* eslint-env node */
+import crypto from 'crypto'
+import { validateUrl } from './ssrf.js'
+import { fetchWithLimits } from './fetch.js'
+import { requestError } from './errors.js'
+import { getStore } from './store.js'
+import { normalizeUrl } from './url.js'
+import { parseScope, scopedLines, diffLines } from './diff.js'
+import { mapWithConcurrency } from './concurrency.js'
+
+// Snapshots kept per URL; older ones are deleted as new ones are stored
+export const SNAPSHOTS_PER_URL = 20
+
+// Server-side bounds for watches (intervals in minutes)
+export const WATCH_LIMITS = {
+  minInterval: 5,
+  defaultInterval: 60,
+  maxInterval: 1440,
+  maxWatches: 50
+}
+
+// Whole-run time budget for scheduled checks, leaving headroom under the 60s function maxDuration
+export const MONITOR_BUDGET_MS = 50000
+const MONITOR_CONCURRENCY = 2
+// Changes remembered per watch, newest first
+const MAX_CHANGES = 50
+
+const WATCH_KEYS = ['url', 'selector', 'ignore', 'intervalMinutes', 'respectRobots']
+
+const hashLines = (lines) => crypto.createHash('sha256').update(lines.join('\n')).digest('hex')
+
+/**
+ * Returns a snapshot without its HTML, for listings
+ */
+export function summarizeSnapshot(snapshot) {
+  const summary = { ...snapshot }
+  delete summary.html
+  return summary
+}
+
+/**
+ * Fetches a page and returns an (unsaved) snapshot of it. The response cache
+ * is bypassed so every snapshot reflects the live page.
+ */
+async function capturePage(url, options = {}) {
+  const validation = await validateUrl(url)
+  if (!validation.valid) {
+    throw requestError(validation)
+  }
+
+  const page = await fetchWithLimits(validation.url.href, { ...options, cache: 'bypass' })
+  return {
+    id: crypto.randomUUID(),
+    url: normalizeUrl(validation.url.href),
+    finalUrl: page.finalUrl,
+    status: page.status,
+    title: (page.html.match(/<title[^>]*>([^<]*)<\/title>/i) || [])[1]?.trim() || null,
+    capturedAt: new Date().toISOString(),
+    hash: hashLines(scopedLines(page.html)),
+    size: page.html.length,
+    html: page.html
+  }
+}
+
+/**
+ * Stores a snapshot and deletes the oldest snapshots of its URL beyond
+ * SNAPSHOTS_PER_URL
+ */
+async function saveSnapshot(snapshot) {
+  const store = getStore('snapshots')
+  await store.set(snapshot)
+
+  const older = (await listSnapshots(snapshot.url)).slice(SNAPSHOTS_PER_URL)
+  for (const stale of older) {
+    await store.delete(stale.id)
+  }
+}
+
+/**
+ * Fetches a page and stores a snapshot of it
+ */
+export async function takeSnapshot(url, options = {}) {
+  const snapshot = await capturePage(url, options)
+  await saveSnapshot(snapshot)
+  return snapshot
+}
+
+/**
+ * Lists the stored snapshots of a URL, newest first, without their HTML
+ */
+export async function listSnapshots(url) {
+  const key = normalizeUrl(url)
+  const snapshots = await getStore('snapshots').list()
+  return snapshots
+    .filter(snapshot => snapshot.url === key)
+    .sort((a, b) => b.capturedAt.localeCompare(a.capturedAt))
+    .map(summarizeSnapshot)
+}
+
+/**
+ * Resolves to a stored snapshot by ID, or null
+ */
+export function getSnapshot(id) {
+  return getStore('snapshots').get(id)
+}
+
+/**
+ * Diffs two snapshots within a scope (see parseScope)
+ */
+export function compareSnapshots(from, to, scope = {}) {
+  return {
+    from: summarizeSnapshot(from),
+    to: summarizeSnapshot(to),
+    scope,
+    ...diffLines(scopedLines(from.html, scope), scopedLines(to.html, scope))
+  }
+}
+
+/**
+ * Validates a watch request body: `url`, an optional `selector` and `ignore`
+ * scope, `intervalMinutes` (clamped) and `respectRobots`
+ */
+export function parseWatch(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' }
+  }
+
+  const unknownKeys = Object.keys(body).filter(key => !WATCH_KEYS.includes(key))
+  if (unknownKeys.length > 0) {
+    return { valid: false, error: `Unknown option(s): ${unknownKeys.join(', ')}` }
+  }
+
+  if (typeof body.url !== 'string' || body.url.trim() === '') {
+    return { valid: false, error: 'URL parameter is required' }
+  }
+
+  const { scope, error } = parseScope(body)
+  if (error) {
+    return { valid: false, error }
+  }
+
+  let intervalMinutes = WATCH_LIMITS.defaultInterval
+  if (body.intervalMinutes !== undefined) {
+    if (!Number.isInteger(body.intervalMinutes) || body.intervalMinutes < 1) {
+      return { valid: false, error: '`intervalMinutes` must be a positive integer' }
+    }
+    intervalMinutes = Math.min(Math.max(body.intervalMinutes, WATCH_LIMITS.minInterval), WATCH_LIMITS.maxInterval)
+  }
+
+  if (body.respectRobots !== undefined && typeof body.respectRobots !== 'boolean') {
+    return { valid: false, error: '`respectRobots` must be a boolean' }
+  }
+
+  return { valid: true, url: body.url.trim(), scope, intervalMinutes, respectRobots: body.respectRobots !== false }
+}
+
+/**
+ * Lists every watch, oldest first
+ */
+export async function listWatches() {
+  const watches = await getStore('watches').list()
+  return watches.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+}
+
+/**
+ * Resolves to a watch by ID, or null
+ */
+export function getWatch(id) {
+  return getStore('watches').get(id)
+}
+
+/**
+ * Deletes a watch. Its snapshots stay available under its URL.
+ */
+export async function deleteWatch(id) {
+  const store = getStore('watches')
+  if (!(await store.get(id))) return false
+  await store.delete(id)
+  return true
+}
+
+/**
+ * Creates a watch from a parsed request (see parseWatch) and takes its
+ * baseline snapshot. A failed baseline is recorded on the watch and retried
+ * at the next check.
+ */
+export async function createWatch({ url, scope, intervalMinutes, respectRobots }) {
+  const validation = await validateUrl(url)
+  if (!validation.valid) {
+    return { valid: false, code: validation.code, error: validation.error }
+  }
+
+  const store = getStore('watches')
+  if ((await store.list()).length >= WATCH_LIMITS.maxWatches) {
+    return { valid: false, error: `At most ${WATCH_LIMITS.maxWatches} pages can be watched` }
+  }
+
+  const watch = {
+    id: crypto.randomUUID(),
+    url: validation.url.href,
+    selector: scope.selector,
+    ignore: scope.ignore,
+    intervalMinutes,
+    respectRobots,
+    createdAt: new Date().toISOString(),
+    lastCheckedAt: null,
+    nextCheckAt: new Date().toISOString(),
+    lastSnapshotId: null,
+    lastScopeHash: null,
+    lastChangeAt: null,
+    lastError: null,
+    changes: []
+  }
+  await store.set(watch)
+
+  const { watch: checked } = await checkWatch(watch.id)
+  return { valid: true, watch: checked }
+}
+
+/**
+ * Snapshots a watched page and compares its scoped text with the last
+ * snapshot. A new snapshot is only stored for the first check and when the
+ * page changed; each change is recorded on the watch with its line counts.
+ * Resolves to `{ watch, changed, change }`, or null for an unknown watch.
+ */
+export async function checkWatch(id) {
+  const store = getStore('watches')
+  const watch = await store.get(id)
+  if (!watch) return null
+
+  const now = new Date()
+  const scope = { selector: watch.selector, ignore: watch.ignore }
+  const updated = {
+    ...watch,
+    lastCheckedAt: now.toISOString(),
+    nextCheckAt: new Date(now.getTime() + watch.intervalMinutes * 60 * 1000).toISOString()
+  }
+  let change = null
+
+  try {
+    const snapshot = await capturePage(watch.url, { respectRobots: watch.respectRobots })
+    const lines = scopedLines(snapshot.html, scope)
+    const scopeHash = hashLines(lines)
+    updated.lastError = null
+
+    if (!watch.lastScopeHash || scopeHash !== watch.lastScopeHash) {
+      await saveSnapshot(snapshot)
+      if (watch.lastScopeHash) {
+        const previous = watch.lastSnapshotId ? await getSnapshot(watch.lastSnapshotId) : null
+        const { stats } = previous ? diffLines(scopedLines(previous.html, scope), lines) : { stats: null }
+        change = {
+          at: snapshot.capturedAt,
+          fromSnapshotId: watch.lastSnapshotId,
+          toSnapshotId: snapshot.id,
+          added: stats?.added ?? null,
+          removed: stats?.removed ?? null
+        }
+        updated.lastChangeAt = snapshot.capturedAt
+        updated.changes = [change, ...watch.changes].slice(0, MAX_CHANGES)
+      }
+      updated.lastSnapshotId = snapshot.id
+      updated.lastScopeHash = scopeHash
+    }
+  } catch (error) {
+    updated.lastError = error.message
+  }
+
+  await store.set(updated)
+  return { watch: updated, changed: Boolean(change), change }
+}
+
+/**
+ * Checks every watch whose next check is due, oldest first, until the time
+ * budget runs out. Watches not reached stay due for the next run.
+ */
+export async function checkDueWatches({ budget = MONITOR_BUDGET_MS } = {}) {
+  const deadline = Date.now() + budget
+  const now = new Date().toISOString()
+  const due = (await listWatches())
+    .filter(watch => watch.nextCheckAt <= now)
+    .sort((a, b) => a.nextCheckAt.localeCompare(b.nextCheckAt))
+
+  const results = await mapWithConcurrency(due, MONITOR_CONCURRENCY, (watch) => (
+    Date.now() < deadline ? checkWatch(watch.id) : null
+  ))
+
+  const checked = results.filter(Boolean)
+  return {
+    due: due.length,
+    checked: checked.length,
+    changed: checked.filter(result => result.changed).length,
+    failed: checked.filter(result => result.watch.lastError).length,
+    skipped: due.length - checked.length
+  }
+}
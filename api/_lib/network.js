@@ -0,0 +1,267 @@
+/* eslint-env node */
+import { compilePattern, capSubject } from './patterns.js'
+
+// Bounds for network capture during a dynamic render
+export const NETWORK_CAPTURE_LIMITS = {
+  maxHarEntries: 500,
+  defaultJsonResponses: 20,
+  maxJsonResponses: 100,
+  defaultJsonBodySize: 256 * 1024, // 256KB
+  maxJsonBodySize: 1024 * 1024, // 1MB
+  // All captured JSON bodies together
+  maxJsonTotal: 2 * 1024 * 1024, // 2MB
+  // `captureJson.pattern` runs on every response URL: it is capped, unsafe patterns are refused
+  // and only the start of each URL is searched (see patterns.js)
+  maxPatternLength: 500,
+  maxPatternSubjectLength: 2048
+}
+
+const HAR_CREATOR = { name: 'brainrotscraper', version: '1.0.0' }
+// Request types made by page scripts
+const SCRIPT_REQUEST_TYPES = ['xhr', 'fetch']
+const JSON_CONTENT_TYPE = /^application\/(?:[\w.+-]+\+)?json\b|^text\/json\b/i
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const toHarHeaders = (headers = {}) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }))
+const elapsed = (from, to) => (from >= 0 && to >= 0 ? Math.max(to - from, 0) : -1)
+
+/**
+ * Validates the `captureJson` option: `true`, or
+ * `{ pattern, maxResponses, maxBodySize }` where `pattern` is a regular
+ * expression matched against response URLs
+ */
+export function parseCaptureJson(captureJson) {
+  if (captureJson === undefined || captureJson === false || captureJson === 'false') {
+    return { captureJson: null }
+  }
+
+  const settings = captureJson === true || captureJson === 'true' ? {} : captureJson
+  if (!isPlainObject(settings)) {
+    return { error: '`captureJson` must be a boolean or { pattern, maxResponses, maxBodySize }' }
+  }
+
+  const {
+    pattern = null,
+    maxResponses = NETWORK_CAPTURE_LIMITS.defaultJsonResponses,
+    maxBodySize = NETWORK_CAPTURE_LIMITS.defaultJsonBodySize
+  } = settings
+
+  let regex = null
+  if (pattern !== null) {
+    const compiled = compilePattern(pattern, '', NETWORK_CAPTURE_LIMITS.maxPatternLength)
+    if (compiled.error) {
+      return { error: `\`captureJson.pattern\` ${compiled.error}` }
+    }
+    regex = compiled.regex
+  }
+
+  if (!Number.isInteger(maxResponses) || maxResponses < 1) {
+    return { error: '`captureJson.maxResponses` must be a positive integer' }
+  }
+  if (!Number.isInteger(maxBodySize) || maxBodySize < 1) {
+    return { error: '`captureJson.maxBodySize` must be a positive integer (bytes)' }
+  }
+
+  return {
+    captureJson: {
+      pattern: regex,
+      maxResponses: Math.min(maxResponses, NETWORK_CAPTURE_LIMITS.maxJsonResponses),
+      maxBodySize: Math.min(maxBodySize, NETWORK_CAPTURE_LIMITS.maxJsonBodySize)
+    }
+  }
+}
+
+/**
+ * Builds the HAR timings of a finished request from Chrome's resource timing
+ */
+function harTimings(timing, startedAt, endedAt) {
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(endedAt - startedAt, 0), receive: 0 }
+  }
+  const headersAt = timing.receiveHeadersEnd
+  return {
+    blocked: -1,
+    dns: elapsed(timing.dnsStart, timing.dnsEnd),
+    connect: elapsed(timing.connectStart, timing.connectEnd),
+    ssl: elapsed(timing.sslStart, timing.sslEnd),
+    send: Math.max(elapsed(timing.sendStart, timing.sendEnd), 0),
+    wait: Math.max(elapsed(timing.sendEnd, headersAt), 0),
+    receive: Math.max(Math.round(endedAt - startedAt - headersAt), 0)
+  }
+}
+
+/**
+ * Records a page's network activity from the moment it is called. With
+ * `har`, every request becomes a HAR entry (headers, status, sizes from
+ * Content-Length and timings; no bodies). With `captureJson`, the bodies of
+ * XHR/fetch responses with a JSON content type are kept, within the size
+ * caps. Call `finish(title, waitMs)` once the page has been captured; it
+ * waits up to `waitMs` for bodies still being read and resolves to
+ * `{ har, jsonResponses, jsonResponsesDropped }`.
+ */
+export function recordNetwork(page, { har = false, captureJson = null } = {}) {
+  const entries = new Map()
+  const jsonResponses = []
+  const reads = []
+  let jsonBytes = 0
+  let droppedEntries = 0
+  let droppedJson = 0
+  const pageStartedAt = new Date()
+
+  const complete = (request, error) => {
+    const entry = entries.get(request)
+    if (!entry || entry.done) return
+    entry.done = true
+    const endedAt = Date.now()
+    const response = request.response()
+    const timings = harTimings(response?.timing(), entry.startedAt, endedAt)
+    // HAR counts ssl as part of connect
+    entry.har.time = ['blocked', 'dns', 'connect', 'send', 'wait', 'receive']
+      .reduce((sum, phase) => sum + Math.max(timings[phase], 0), 0)
+    entry.har.timings = timings
+    if (error) entry.har._error = error
+  }
+
+  const onRequest = (request) => {
+    if (entries.size >= NETWORK_CAPTURE_LIMITS.maxHarEntries) {
+      droppedEntries++
+      return
+    }
+    const url = new URL(request.url())
+    const postData = request.postData()
+    entries.set(request, {
+      startedAt: Date.now(),
+      done: false,
+      har: {
+        pageref: 'page_1',
+        startedDateTime: new Date().toISOString(),
+        time: 0,
+        request: {
+          method: request.method(),
+          url: request.url(),
+          httpVersion: '',
+          headers: toHarHeaders(request.headers()),
+          queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+          cookies: [],
+          headersSize: -1,
+          bodySize: postData ? Buffer.byteLength(postData) : 0,
+          ...(postData && { postData: { mimeType: request.headers()['content-type'] || '', text: postData } })
+        },
+        response: {
+          status: 0,
+          statusText: '',
+          httpVersion: '',
+          headers: [],
+          cookies: [],
+          content: { size: -1, mimeType: '' },
+          redirectURL: '',
+          headersSize: -1,
+          bodySize: -1
+        },
+        cache: {},
+        timings: {},
+        _resourceType: request.resourceType()
+      }
+    })
+  }
+
+  const recordHarResponse = (response) => {
+    const entry = entries.get(response.request())
+    if (!entry) return
+    const headers = response.headers()
+    const length = headers['content-length'] !== undefined ? Number(headers['content-length']) : -1
+    entry.har.response = {
+      ...entry.har.response,
+      status: response.status(),
+      statusText: response.statusText(),
+      headers: toHarHeaders(headers),
+      content: { size: length, mimeType: headers['content-type'] || '' },
+      redirectURL: headers.location || '',
+      bodySize: length
+    }
+    const address = response.remoteAddress()
+    if (address?.ip) entry.har.serverIPAddress = address.ip
+  }
+
+  // Reads a JSON body when the response qualifies and the caps allow it
+  const captureJsonBody = async (response) => {
+    const request = response.request()
+    const mimeType = response.headers()['content-type'] || ''
+    if (!SCRIPT_REQUEST_TYPES.includes(request.resourceType()) || !JSON_CONTENT_TYPE.test(mimeType)) return
+    if (captureJson.pattern && !captureJson.pattern.test(capSubject(response.url(), NETWORK_CAPTURE_LIMITS.maxPatternSubjectLength))) return
+    if (response.status() >= 300 && response.status() < 400) return
+    if (jsonResponses.length >= captureJson.maxResponses) {
+      droppedJson++
+      return
+    }
+
+    const captured = {
+      url: response.url(),
+      method: request.method(),
+      status: response.status(),
+      mimeType,
+      size: null,
+      truncated: false,
+      body: null,
+      error: null
+    }
+    jsonResponses.push(captured)
+
+    let text
+    try {
+      text = (await response.buffer()).toString('utf8')
+    } catch (error) {
+      captured.error = 'Body not available'
+      return
+    }
+    captured.size = Buffer.byteLength(text)
+    if (captured.size > captureJson.maxBodySize || jsonBytes + captured.size > NETWORK_CAPTURE_LIMITS.maxJsonTotal) {
+      captured.truncated = true
+      return
+    }
+    jsonBytes += captured.size
+    try {
+      captured.body = JSON.parse(text)
+    } catch (error) {
+      captured.error = 'Invalid JSON'
+    }
+  }
+
+  if (har) {
+    page.on('request', onRequest)
+    page.on('response', recordHarResponse)
+    page.on('requestfinished', request => complete(request, null))
+    page.on('requestfailed', request => complete(request, request.failure()?.errorText || 'Failed'))
+  }
+  if (captureJson) {
+    page.on('response', (response) => {
+      reads.push(captureJsonBody(response).catch(() => {}))
+    })
+  }
+
+  return {
+    async finish(title, waitMs) {
+      await Promise.race([Promise.all(reads), new Promise(resolve => setTimeout(resolve, Math.max(waitMs, 0)))])
+      return {
+        har: har
+          ? {
+              log: {
+                version: '1.2',
+                creator: HAR_CREATOR,
+                pages: [{
+                  startedDateTime: pageStartedAt.toISOString(),
+                  id: 'page_1',
+                  title: title || '',
+                  pageTimings: { onContentLoad: -1, onLoad: -1 }
+                }],
+                entries: [...entries.values()].map(entry => entry.har),
+                ...(droppedEntries > 0 && { comment: `${droppedEntries} more requests were not recorded` })
+              }
+            }
+          : null,
+        jsonResponses: captureJson ? jsonResponses : null,
+        jsonResponsesDropped: droppedJson
+      }
+    }
+  }
+}
@@ -0,0 +1,433 @@
+/* eslint-env node */
+import { parseFormats } from './formats.js'
+import { CACHE_MODES, MAX_CACHE_TTL_MS } from './cache.js'
+import { RENDER_KEYS, parseRenderOptions } from './interact.js'
+import { CAPTURE_KEYS, parseCaptureOptions, captureQuery } from './capture.js'
+import { NETWORK_KEYS, parseNetworkOptions } from './intercept.js'
+import { validateSelector } from './detect.js'
+
+// Server-side bounds for per-request options
+export const MIN_TIMEOUT_MS = 1000
+export const MIN_RESPONSE_SIZE = 1024 // 1KB
+export const MAX_RESPONSE_SIZE_LIMIT = 5 * 1024 * 1024 // 5MB
+const MAX_HEADERS = 50
+const MAX_COOKIES = 50
+const MAX_VALUE_LENGTH = 8192
+
+const ALLOWED_KEYS = ['url', 'headers', 'cookies', 'userAgent', 'acceptLanguage', 'timeout', 'maxSize', 'recipe', 'format', 'include', 'checkLinks', 'respectRobots', 'cache', 'cacheTtl', 'expectSelector', ...RENDER_KEYS, ...CAPTURE_KEYS, ...NETWORK_KEYS]
+// Render options that can also be given in a GET query string
+const QUERY_RENDER_KEYS = ['waitUntil', 'waitForSelector', 'waitForFunction', 'maxWait', 'scroll', 'blockResources', 'har', 'captureJson']
+
+// Optional report sections a scrape can add with `include`
+export const INCLUDE_SECTIONS = ['metadata', 'links']
+
+// How pages are loaded: fetched, rendered in headless Chrome, or fetched and rendered when detection says so
+export const SCRAPE_MODES = ['static', 'dynamic', 'auto']
+
+// Headers that are managed by the scraper itself and cannot be overridden
+const FORBIDDEN_HEADERS = [
+  'host',
+  'connection',
+  'content-length',
+  'transfer-encoding',
+  'te',
+  'trailer',
+  'upgrade',
+  'keep-alive',
+  'expect',
+  'accept-encoding',
+  'cookie'
+]
+
+const TOKEN_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+const hasControlChars = (value) => /[\r\n\0]/.test(value)
+
+/**
+ * Validates the `headers` option
+ */
+function validateHeaders(headers) {
+  if (!isPlainObject(headers)) {
+    return '`headers` must be an object of header names to string values'
+  }
+  const entries = Object.entries(headers)
+  if (entries.length > MAX_HEADERS) {
+    return `\`headers\` may contain at most ${MAX_HEADERS} entries`
+  }
+  for (const [name, value] of entries) {
+    if (!TOKEN_PATTERN.test(name)) {
+      return `Invalid header name: ${name}`
+    }
+    const lowerName = name.toLowerCase()
+    if (FORBIDDEN_HEADERS.includes(lowerName) || lowerName.startsWith('proxy-')) {
+      return lowerName === 'cookie'
+        ? 'Use the `cookies` option instead of a Cookie header'
+        : `Header ${name} cannot be overridden`
+    }
+    if (typeof value !== 'string' || hasControlChars(value) || value.length > MAX_VALUE_LENGTH) {
+      return `Header ${name} must be a single-line string of at most ${MAX_VALUE_LENGTH} characters`
+    }
+  }
+  return null
+}
+
+/**
+ * Validates the `cookies` option
+ */
+function validateCookies(cookies) {
+  if (!isPlainObject(cookies)) {
+    return '`cookies` must be an object of cookie names to string values'
+  }
+  const entries = Object.entries(cookies)
+  if (entries.length > MAX_COOKIES) {
+    return `\`cookies\` may contain at most ${MAX_COOKIES} entries`
+  }
+  for (const [name, value] of entries) {
+    if (!TOKEN_PATTERN.test(name)) {
+      return `Invalid cookie name: ${name}`
+    }
+    if (typeof value !== 'string' || /[;,\s\\"]/.test(value) || hasControlChars(value)) {
+      return `Cookie ${name} must be a string without whitespace, quotes, commas, semicolons or backslashes`
+    }
+  }
+  return null
+}
+
+/**
+ * Validates a single-line string option such as `userAgent`
+ */
+function validateString(name, value) {
+  if (typeof value !== 'string' || value.trim() === '' || hasControlChars(value) || value.length > MAX_VALUE_LENGTH) {
+    return `\`${name}\` must be a non-empty single-line string`
+  }
+  return null
+}
+
+/**
+ * Validates a positive numeric option and clamps it to [min, max]
+ */
+function clampNumber(name, value, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    return { error: `\`${name}\` must be a positive number` }
+  }
+  return { value: Math.min(Math.max(Math.round(value), min), max) }
+}
+
+/**
+ * Parses a comma-separated (or array) `include` option
+ */
+function parseIncludes(value) {
+  if (value === undefined || value === null || value === '') {
+    return { include: [] }
+  }
+
+  const list = Array.isArray(value) ? value : String(value).split(',')
+  const include = [...new Set(list.map(section => String(section).trim().toLowerCase()).filter(Boolean))]
+  const unknown = include.filter(section => !INCLUDE_SECTIONS.includes(section))
+  if (unknown.length > 0) {
+    return { error: `\`include\` must be one or more of ${INCLUDE_SECTIONS.join(', ')}` }
+  }
+
+  return { include }
+}
+
+/**
+ * Validates the `cache` mode and `cacheTtl` (seconds) options, which may come
+ * from a JSON body or, as strings, from a query string. Returns the fetch
+ * options they set.
+ */
+function parseCacheOptions(cache, cacheTtl) {
+  const mode = cache === undefined || cache === '' ? 'default' : cache
+  if (!CACHE_MODES.includes(mode)) {
+    return { error: `\`cache\` must be one of ${CACHE_MODES.join(', ')}` }
+  }
+  if (cacheTtl === undefined || cacheTtl === '') {
+    return { options: { cache: mode } }
+  }
+
+  const { value, error } = clampNumber('cacheTtl', typeof cacheTtl === 'string' ? Number(cacheTtl) : cacheTtl, 1, MAX_CACHE_TTL_MS / 1000)
+  if (error) return { error }
+  return { options: { cache: mode, cacheTtl: value * 1000 } }
+}
+
+/**
+ * Validates the `mode` option, which defaults to `static`
+ */
+export function parseMode(mode, allowed = SCRAPE_MODES) {
+  const value = mode ?? 'static'
+  if (!allowed.includes(value)) {
+    return { error: `\`mode\` must be one of ${allowed.join(', ')}` }
+  }
+  return { mode: value }
+}
+
+/**
+ * Validates a scrape request body and normalises it into fetch options.
+ * Numeric options are clamped to the given server-side limits rather than
+ * rejected; anything malformed returns `{ valid: false, error }`. The name
+ * of an extraction recipe, if any, the requested output formats, the
+ * optional report sections and whether to check links are returned
+ * alongside the options. `checkLinks` implies the `links` section. Render
+ * options (waits, scrolling and actions), capture options (device,
+ * screenshot and PDF) and network options are only accepted with limits for
+ * `dynamic` rendering, and `expectSelector` only with limits for `auto` mode.
+ */
+export function parseScrapeOptions(body, { defaultTimeout, maxTimeout, defaultMaxSize, dynamic = false, auto = false }) {
+  if (!isPlainObject(body)) {
+    return { valid: false, error: 'Request body must be a JSON object' }
+  }
+
+  const unknownKeys = Object.keys(body).filter(key => !ALLOWED_KEYS.includes(key))
+  if (unknownKeys.length > 0) {
+    return { valid: false, error: `Unknown option(s): ${unknownKeys.join(', ')}` }
+  }
+
+  if (typeof body.url !== 'string' || body.url.trim() === '') {
+    return { valid: false, error: 'URL parameter is required' }
+  }
+
+  const options = {
+    headers: {},
+    cookies: {},
+    timeout: defaultTimeout,
+    maxSize: defaultMaxSize
+  }
+
+  if (body.headers !== undefined) {
+    const error = validateHeaders(body.headers)
+    if (error) return { valid: false, error }
+    options.headers = { ...body.headers }
+  }
+
+  if (body.cookies !== undefined) {
+    const error = validateCookies(body.cookies)
+    if (error) return { valid: false, error }
+    options.cookies = { ...body.cookies }
+  }
+
+  for (const name of ['userAgent', 'acceptLanguage']) {
+    if (body[name] !== undefined) {
+      const error = validateString(name, body[name])
+      if (error) return { valid: false, error }
+      options[name] = body[name].trim()
+    }
+  }
+
+  if (body.timeout !== undefined) {
+    const { value, error } = clampNumber('timeout', body.timeout, MIN_TIMEOUT_MS, maxTimeout)
+    if (error) return { valid: false, error }
+    options.timeout = value
+  }
+
+  if (body.maxSize !== undefined) {
+    const { value, error } = clampNumber('maxSize', body.maxSize, MIN_RESPONSE_SIZE, MAX_RESPONSE_SIZE_LIMIT)
+    if (error) return { valid: false, error }
+    options.maxSize = value
+  }
+
+  if (body.respectRobots !== undefined) {
+    if (typeof body.respectRobots !== 'boolean') {
+      return { valid: false, error: '`respectRobots` must be a boolean' }
+    }
+    options.respectRobots = body.respectRobots
+  }
+
+  const { options: cacheOptions, error: cacheError } = parseCacheOptions(body.cache, body.cacheTtl)
+  if (cacheError) {
+    return { valid: false, error: cacheError }
+  }
+  Object.assign(options, cacheOptions)
+
+  if (body.expectSelector !== undefined) {
+    if (!auto) {
+      return { valid: false, error: '`expectSelector` is only supported in auto mode' }
+    }
+    const error = validateSelector('expectSelector', body.expectSelector)
+    if (error) return { valid: false, error }
+    options.expectSelector = body.expectSelector.trim()
+  }
+
+  const renderKey = [...RENDER_KEYS, ...CAPTURE_KEYS, ...NETWORK_KEYS].find(key => body[key] !== undefined)
+  if (renderKey && !dynamic) {
+    return { valid: false, error: `\`${renderKey}\` is only supported for dynamic rendering` }
+  }
+  if (dynamic) {
+    const { render, error } = parseRenderOptions(body)
+    if (error) return { valid: false, error }
+    options.render = render
+
+    const { capture, error: captureError } = parseCaptureOptions(body)
+    if (captureError) return { valid: false, error: captureError }
+    options.capture = capture
+
+    const { network, error: networkError } = parseNetworkOptions(body)
+    if (networkError) return { valid: false, error: networkError }
+    options.network = network
+  }
+
+  if (body.recipe !== undefined) {
+    const error = validateString('recipe', body.recipe)
+    if (error) return { valid: false, error }
+  }
+
+  const { formats, error: formatError } = parseFormats(body.format)
+  if (formatError) {
+    return { valid: false, error: formatError }
+  }
+
+  const { include, error: includeError } = parseIncludes(body.include)
+  if (includeError) {
+    return { valid: false, error: includeError }
+  }
+
+  if (body.checkLinks !== undefined && typeof body.checkLinks !== 'boolean') {
+    return { valid: false, error: '`checkLinks` must be a boolean' }
+  }
+
+  const checkLinks = body.checkLinks === true
+  if (checkLinks && !include.includes('links')) {
+    include.push('links')
+  }
+
+  return { valid: true, url: body.url.trim(), options, recipe: body.recipe ? body.recipe.trim() : null, formats, include, checkLinks }
+}
+
+/**
+ * Returns the parsed JSON body of a request. Vercel and express.json() have
+ * usually parsed it already; raw string bodies are parsed here.
+ */
+export function readJsonBody(req) {
+  if (typeof req.body !== 'string') {
+    return { valid: true, body: req.body }
+  }
+  try {
+    return { valid: true, body: JSON.parse(req.body) }
+  } catch (error) {
+    return { valid: false, error: 'Request body must be valid JSON' }
+  }
+}
+
+/**
+ * Reads and validates the `mode` of a GET query string or POST JSON body
+ */
+export function readMode(req, allowed = SCRAPE_MODES) {
+  if (req.method !== 'POST') {
+    return parseMode(req.query.mode || undefined, allowed)
+  }
+  const { body } = readJsonBody(req)
+  return parseMode(isPlainObject(body) ? body.mode : undefined, allowed)
+}
+
+/**
+ * Reads the scrape target and options from a GET query string or a POST
+ * JSON body, so every entry point accepts the same request shape
+ */
+export function readScrapeRequest(req, limits) {
+  if (req.method === 'POST') {
+    const { valid, body, error } = readJsonBody(req)
+    if (!valid) {
+      return { valid: false, error }
+    }
+    if (!isPlainObject(body)) {
+      return parseScrapeOptions(body, limits)
+    }
+    // `mode` picks the limits, so the handler reads it first (see readMode)
+    const scrapeBody = { ...body }
+    delete scrapeBody.mode
+    return parseScrapeOptions(scrapeBody, limits)
+  }
+
+  const { url, recipe, format } = req.query
+  if (!url) {
+    return { valid: false, error: 'URL parameter is required' }
+  }
+
+  const { formats, error: formatError } = parseFormats(format)
+  if (formatError) {
+    return { valid: false, error: formatError }
+  }
+
+  const { include, error: includeError } = parseIncludes(req.query.include)
+  if (includeError) {
+    return { valid: false, error: includeError }
+  }
+
+  const checkLinks = req.query.checkLinks === 'true'
+  if (checkLinks && !include.includes('links')) {
+    include.push('links')
+  }
+
+  const { options: cacheOptions, error: cacheError } = parseCacheOptions(req.query.cache, req.query.cacheTtl)
+  if (cacheError) {
+    return { valid: false, error: cacheError }
+  }
+
+  let expectSelector = null
+  if (req.query.expectSelector) {
+    if (!limits.auto) {
+      return { valid: false, error: '`expectSelector` is only supported in auto mode' }
+    }
+    const error = validateSelector('expectSelector', req.query.expectSelector)
+    if (error) {
+      return { valid: false, error }
+    }
+    expectSelector = req.query.expectSelector.trim()
+  }
+
+  let render = null
+  let capture = null
+  let network = null
+  if (limits.dynamic) {
+    const queryRender = Object.fromEntries(QUERY_RENDER_KEYS.filter(key => key in req.query).map(key => [key, req.query[key]]))
+    // `jsonPattern` narrows `captureJson=true` to matching URLs
+    if (req.query.jsonPattern && req.query.captureJson === 'true') {
+      queryRender.captureJson = { pattern: req.query.jsonPattern }
+    }
+    const parsed = parseRenderOptions(queryRender)
+    if (parsed.error) {
+      return { valid: false, error: parsed.error }
+    }
+    render = parsed.render
+
+    const parsedCapture = parseCaptureOptions(captureQuery(req.query))
+    if (parsedCapture.error) {
+      return { valid: false, error: parsedCapture.error }
+    }
+    capture = parsedCapture.capture
+
+    const parsedNetwork = parseNetworkOptions(queryRender)
+    if (parsedNetwork.error) {
+      return { valid: false, error: parsedNetwork.error }
+    }
+    network = parsedNetwork.network
+  }
+
+  return {
+    valid: true,
+    url,
+    options: {
+      headers: {},
+      cookies: {},
+      timeout: limits.defaultTimeout,
+      maxSize: limits.defaultMaxSize,
+      ...(req.query.respectRobots === 'false' && { respectRobots: false }),
+      ...(expectSelector && { expectSelector }),
+      ...cacheOptions,
+      ...(render && { render }),
+      ...(capture && { capture }),
+      ...(network && { network })
+    },
+    recipe: recipe || null,
+    formats,
+    include,
+    checkLinks
+  }
+}
+
+/**
+ * Serialises the `cookies` option into a Cookie header value
+ */
+export function cookieHeader(cookies) {
+  return Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ')
+}
@@ -0,0 +1,38 @@
+/* eslint-env node */
+import safeRegex from 'safe-regex2'
+
+// Regular expressions from requests run in the shared server process, where one that backtracks
+// catastrophically would stall every client. Patterns are capped in length and refused when
+// safe-regex2 flags them (nested quantifiers and the like); subjects are capped before testing,
+// which bounds the cost of any pattern the check lets through.
+export const MAX_PATTERN_LENGTH = 500
+// Longest text a request's pattern is run against; the rest is not searched
+export const MAX_SUBJECT_LENGTH = 20000
+
+/**
+ * Compiles a regular expression from request input. Returns `{ regex }`,
+ * or `{ error }` with a reason that completes "... pattern <reason>".
+ */
+export function compilePattern(source, flags = '', maxLength = MAX_PATTERN_LENGTH) {
+  if (typeof source !== 'string' || source === '' || source.length > maxLength) {
+    return { error: `must be a non-empty string of at most ${maxLength} characters` }
+  }
+  let regex
+  try {
+    regex = new RegExp(source, flags)
+  } catch (error) {
+    return { error: `is not a valid regular expression: ${source}` }
+  }
+  if (!safeRegex(regex)) {
+    return { error: `could backtrack catastrophically (avoid nested quantifiers such as (a+)+): ${source}` }
+  }
+  return { regex }
+}
+
+/**
+ * Cuts a subject down to `maxLength` characters before a pattern runs on it
+ */
+export function capSubject(value, maxLength = MAX_SUBJECT_LENGTH) {
+  const text = String(value)
+  return text.length > maxLength ? text.slice(0, maxLength) : text
+}
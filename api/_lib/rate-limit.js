@@ -0,0 +1,92 @@
+/* eslint-env node */
+
+// Requests per minute; the bucket holds a minute's worth, so that many can also arrive at once. 0 turns a limit off.
+export const RATE_LIMITS = {
+  ip: readLimit(process.env.RATE_LIMIT_IP_PER_MINUTE, 60),
+  key: readLimit(process.env.RATE_LIMIT_KEY_PER_MINUTE, 600)
+}
+// Buckets the in-memory store tracks before evicting the least recently used
+const MEMORY_STORE_MAX_BUCKETS = 10000
+
+function readLimit(value, fallback) {
+  const limit = Number(value)
+  return value !== undefined && value !== '' && Number.isFinite(limit) && limit >= 0 ? limit : fallback
+}
+
+/**
+ * Builds a token bucket holding `perMinute` tokens and refilling at
+ * `perMinute` tokens a minute
+ */
+export function bucketFor(perMinute) {
+  return { capacity: perMinute, refillPerMs: perMinute / 60000 }
+}
+
+/**
+ * Takes `cost` tokens from a bucket whose saved state is `state`
+ * (`{ tokens, updatedAt }`, or null for a full bucket). Returns the new
+ * state and `{ allowed, limit, remaining, resetMs, retryAfterMs }`, where
+ * `resetMs` is the time until the bucket is full again and `retryAfterMs`
+ * the wait before a refused request would be allowed. Stores for other
+ * backends can use this inside their own atomic update.
+ */
+export function takeToken(state, { capacity, refillPerMs }, cost = 1, now = Date.now()) {
+  const tokens = state
+    ? Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs)
+    : capacity
+  const allowed = tokens >= cost
+  const left = allowed ? tokens - cost : tokens
+  return {
+    state: { tokens: left, updatedAt: now },
+    result: {
+      allowed,
+      limit: capacity,
+      remaining: Math.floor(left),
+      resetMs: Math.ceil((capacity - left) / refillPerMs),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - left) / refillPerMs)
+    }
+  }
+}
+
+/**
+ * Keeps token buckets in process memory, at most `maxBuckets` of them. They
+ * are not shared between serverless instances, so each instance enforces
+ * its own limits.
+ */
+export function createMemoryLimiterStore(maxBuckets = MEMORY_STORE_MAX_BUCKETS) {
+  // Iteration order tracks recency: every take moves its bucket to the end
+  const buckets = new Map()
+
+  return {
+    async take(id, bucket, cost = 1) {
+      const saved = buckets.get(id)
+      buckets.delete(id)
+      // Evicting the least recently used bucket at worst forgets a client's spent tokens
+      if (buckets.size >= maxBuckets) buckets.delete(buckets.keys().next().value)
+      const { state, result } = takeToken(saved, bucket, cost)
+      buckets.set(id, state)
+      return result
+    }
+  }
+}
+
+let store = null
+
+/**
+ * Returns the store holding rate limit buckets, in memory by default. Limits
+ * shared between instances need a shared store (any object with an async
+ * `take(id, bucket, cost)` resolving to takeToken's result), plugged in
+ * with setLimiterStore.
+ */
+export function getLimiterStore() {
+  if (!store) {
+    store = createMemoryLimiterStore()
+  }
+  return store
+}
+
+/**
+ * Replaces the rate limit store
+ */
+export function setLimiterStore(custom) {
+  store = custom
+}
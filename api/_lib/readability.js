@@ -0,0 +1,174 @@
+/* eslint-env node */
+import * as cheerio from 'cheerio'
+import { URL } from 'url'
+import { htmlToText } from './markdown.js'
+
+// Elements that never hold main content
+const REMOVED_TAGS = 'script, style, noscript, template, iframe, object, embed, svg, canvas, form, button, input, select, textarea, nav, footer, aside, dialog'
+
+// Landmark roles for page chrome
+const REMOVED_ROLES = '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [role="dialog"], [role="alert"], [aria-hidden="true"], [hidden]'
+
+// class/id hints used to drop boilerplate and to favour content containers
+const UNLIKELY_PATTERN = /(^|[\s_-])(ad|ads|advert|banner|breadcrumbs?|combx|comment|community|cookie|disqus|extra|foot|footer|gdpr|header|legends|menu|modal|nav|newsletter|outbrain|pager|pagination|popup|promo|related|remark|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|taboola|tags|toolbar|widget)([\s_-]|$)/i
+const POSITIVE_PATTERN = /article|body|blog|content|entry|hentry|main|page|post|story|text/i
+
+// Words per minute used for the reading-time estimate
+const WORDS_PER_MINUTE = 230
+
+// Kana, CJK ideographs and Hangul syllables
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g
+
+/**
+ * Counts words, treating each CJK character as a word since those scripts
+ * do not separate words with spaces
+ */
+export function countWords(text) {
+  const cjk = text.match(CJK_PATTERN) || []
+  const words = text.replace(CJK_PATTERN, ' ').match(/[\p{L}\p{N}][\p{L}\p{N}'\u2019-]*/gu) || []
+  return cjk.length + words.length
+}
+
+/**
+ * Returns the share of an element's text that sits inside links
+ */
+function linkDensity($, element) {
+  const textLength = $(element).text().trim().length
+  if (textLength === 0) return 0
+  const linkLength = $(element).find('a').toArray().reduce((sum, link) => sum + $(link).text().trim().length, 0)
+  return linkLength / textLength
+}
+
+/**
+ * Scores paragraph containers the way Readability does: every paragraph
+ * credits its parent fully and its grandparent by half, based on length and
+ * comma count, then the result is discounted by link density
+ */
+function findTopCandidate($) {
+  const scores = new Map()
+  const addScore = (element, score) => {
+    if (!element || element.type !== 'tag') return
+    if (!scores.has(element)) {
+      const hints = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`
+      scores.set(element, POSITIVE_PATTERN.test(hints) ? 25 : 0)
+    }
+    scores.set(element, scores.get(element) + score)
+  }
+
+  $('p, pre, td, blockquote, li').each((_, paragraph) => {
+    const text = $(paragraph).text().trim()
+    if (text.length < 25) return
+    const score = 1 + text.split(/[,，、]/).length + Math.min(Math.floor(text.length / 100), 3)
+    addScore(paragraph.parent, score)
+    addScore(paragraph.parent && paragraph.parent.parent, score / 2)
+  })
+
+  let best = null
+  let bestScore = 0
+  for (const [element, score] of scores) {
+    const adjusted = score * (1 - linkDensity($, element))
+    if (adjusted > bestScore) {
+      best = element
+      bestScore = adjusted
+    }
+  }
+  return best
+}
+
+/**
+ * Makes links and images absolute so the extracted content stands alone
+ */
+function absolutizeUrls($, root, baseUrl) {
+  if (!baseUrl) return
+  const resolve = (value) => {
+    try {
+      return new URL(value, baseUrl).href
+    } catch (error) {
+      return value
+    }
+  }
+  root.find('a[href]').each((_, link) => {
+    const href = $(link).attr('href')
+    if (!href.startsWith('#')) $(link).attr('href', resolve(href))
+  })
+  root.find('img').each((_, image) => {
+    // Lazy-loading markup often keeps the real source in data-src
+    const src = $(image).attr('src') || $(image).attr('data-src')
+    if (src) $(image).attr('src', resolve(src))
+  })
+}
+
+/**
+ * Reads the article title, preferring OpenGraph over <title> since site
+ * names are usually appended to the latter
+ */
+function readTitle($) {
+  const title = $('meta[property="og:title"]').attr('content') || $('title').first().text() || $('h1').first().text()
+  return title.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Extracts the main content of a page, dropping navigation, footers, ads,
+ * scripts and other boilerplate. Returns the cleaned content as HTML plus
+ * title, byline, excerpt, word count and estimated reading time.
+ */
+export function extractMainContent(html, { pageUrl } = {}) {
+  const $ = cheerio.load(html)
+  const title = readTitle($)
+  const byline = ($('meta[name="author"]').attr('content') || $('[rel="author"], [itemprop="author"]').first().text() || '').replace(/\s+/g, ' ').trim() || null
+  const description = ($('meta[name="description"]').attr('content') || $('meta[property="og:description"]').attr('content') || '').trim()
+
+  let baseUrl = pageUrl
+  const baseHref = $('base[href]').first().attr('href')
+  if (baseHref && pageUrl) {
+    try {
+      baseUrl = new URL(baseHref, pageUrl).href
+    } catch (error) {
+      // Ignore an unusable <base> and fall back to the page URL
+    }
+  }
+
+  // Strip boilerplate before looking for the content container
+  $(REMOVED_TAGS).remove()
+  $(REMOVED_ROLES).remove()
+  $('body *').each((_, element) => {
+    const hints = `${$(element).attr('class') || ''} ${$(element).attr('id') || ''}`
+    if (UNLIKELY_PATTERN.test(hints) && !POSITIVE_PATTERN.test(hints) && !$(element).is('article, main, body')) {
+      $(element).remove()
+    }
+  })
+  $('header').filter((_, header) => $(header).find('h1').length === 0).remove()
+
+  // Semantic containers win; otherwise fall back to paragraph scoring
+  let root = $('article').first()
+  if (root.length === 0 || root.text().trim().length < 200) root = $('main, [role="main"]').first()
+  if (root.length === 0 || root.text().trim().length < 200) {
+    const candidate = findTopCandidate($)
+    root = candidate ? $(candidate) : $('body')
+  }
+
+  // Remove link-heavy blocks (related links, tag clouds) inside the content
+  root.find('ul, ol, div, section, table').each((_, block) => {
+    if ($(block).text().trim().length > 0 && linkDensity($, block) > 0.5 && $(block).find('p').length === 0) {
+      $(block).remove()
+    }
+  })
+
+  // Comments and empty wrappers add nothing to the readable output
+  root.find('*').contents().filter((_, node) => node.type === 'comment').remove()
+  root.find('div, span, section, p').filter((_, element) => $(element).text().trim() === '' && $(element).find('img, table, pre').length === 0).remove()
+  absolutizeUrls($, root, baseUrl)
+
+  const content = (root.html() || '').trim()
+  const text = htmlToText(content).replace(/\s+/g, ' ')
+  const wordCount = countWords(text)
+
+  return {
+    title,
+    byline,
+    excerpt: description || text.slice(0, 200),
+    content,
+    wordCount,
+    readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE))
+  }
+}
@@ -0,0 +1,81 @@
+/* eslint-env node */
+import fs from 'fs/promises'
+import path from 'path'
+import { parseFields } from './extract.js'
+
+// Recipes live as JSON files in ./recipes unless RECIPES_DIR points elsewhere
+const RECIPES_DIR = process.env.RECIPES_DIR || path.join(process.cwd(), 'recipes')
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i
+
+let cachedRecipes = null
+
+/**
+ * Validates a recipe definition: `{ name, description?, fields }`
+ */
+export function parseRecipe(recipe) {
+  if (recipe === null || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return { valid: false, error: 'Recipe must be a JSON object' }
+  }
+
+  if (typeof recipe.name !== 'string' || !NAME_PATTERN.test(recipe.name)) {
+    return { valid: false, error: 'Recipe `name` must be 1-64 letters, digits, dashes or underscores' }
+  }
+
+  if (recipe.description !== undefined && typeof recipe.description !== 'string') {
+    return { valid: false, error: 'Recipe `description` must be a string' }
+  }
+
+  const parsed = parseFields(recipe.fields)
+  if (!parsed.valid) {
+    return { valid: false, error: `Recipe ${recipe.name}: ${parsed.error}` }
+  }
+
+  return {
+    valid: true,
+    recipe: { name: recipe.name, description: recipe.description || '', definition: recipe, fields: parsed.fields }
+  }
+}
+
+/**
+ * Loads and validates every *.json recipe in the recipes directory. Invalid
+ * files are skipped with a warning so one bad recipe cannot break the rest.
+ */
+export async function loadRecipes({ reload = false } = {}) {
+  if (cachedRecipes && !reload) {
+    return cachedRecipes
+  }
+
+  const recipes = new Map()
+  let files = []
+  try {
+    files = (await fs.readdir(RECIPES_DIR)).filter(file => file.endsWith('.json'))
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error
+  }
+
+  for (const file of files.sort()) {
+    try {
+      const definition = JSON.parse(await fs.readFile(path.join(RECIPES_DIR, file), 'utf8'))
+      const parsed = parseRecipe(definition)
+      if (!parsed.valid) {
+        console.warn(`Skipping recipe ${file}: ${parsed.error}`)
+        continue
+      }
+      recipes.set(parsed.recipe.name, parsed.recipe)
+    } catch (error) {
+      console.warn(`Skipping recipe ${file}: ${error.message}`)
+    }
+  }
+
+  cachedRecipes = recipes
+  return recipes
+}
+
+/**
+ * Looks up a saved recipe by name
+ */
+export async function getRecipe(name) {
+  const recipes = await loadRecipes()
+  return recipes.get(name) || null
+}
@@ -0,0 +1,162 @@
+/* eslint-env node */
+import { URL } from 'url'
+import { USER_AGENT, enforceRobots } from './fetch.js'
+import { withHostSlot } from './throttle.js'
+import { getBrowserPool } from './browser-pool.js'
+import { parseRenderOptions, waitForContent, autoScroll, runActions } from './interact.js'
+import { parseCaptureOptions, takeScreenshot, printPdf, toDataUrl } from './capture.js'
+import { interceptRequests } from './intercept.js'
+import { recordNetwork } from './network.js'
+import { ApiError } from './errors.js'
+
+// Constants
+export const MAX_RESPONSE_SIZE = 1024 * 1024 // 1MB
+export const TIMEOUT_MS = 10000 // 10 seconds for dynamic content
+export const MAX_TIMEOUT_MS = 25000 // stays under the 30s function maxDuration
+
+export const DYNAMIC_LIMITS = {
+  defaultTimeout: TIMEOUT_MS,
+  maxTimeout: MAX_TIMEOUT_MS,
+  defaultMaxSize: MAX_RESPONSE_SIZE,
+  dynamic: true
+}
+
+/**
+ * Scrapes content using Puppeteer for dynamic content. Like fetchWithLimits,
+ * the page is checked against robots.txt and waits for a per-host slot; the
+ * wait counts against `timeout`.
+ */
+export async function scrapeWithPuppeteer(url, options = {}) {
+  const { crawlDelay } = await enforceRobots(url, options)
+  return withHostSlot(new URL(url).hostname, remaining => render(url, { ...options, timeout: remaining }), {
+    delay: crawlDelay ?? undefined,
+    timeout: options.timeout ?? TIMEOUT_MS
+  })
+}
+
+/**
+ * Renders a page in headless Chrome (the work behind scrapeWithPuppeteer),
+ * on a page from the shared browser pool
+ */
+function render(url, options) {
+  return getBrowserPool().withPage(page => renderPage(page, url, options)).catch((error) => {
+    throw renderFailure(error)
+  })
+}
+
+/**
+ * Classifies a failed render: Puppeteer timeouts are timeouts, Chrome
+ * network errors (`net::ERR_...`) mean the page could not be loaded, and
+ * anything else that is not an ApiError already is a failed render
+ */
+function renderFailure(error) {
+  if (error instanceof ApiError) {
+    return error
+  }
+  if (error.name === 'TimeoutError') {
+    return new ApiError('TIMEOUT', 'Request timed out', { cause: error })
+  }
+  const netError = error.message.match(/net::ERR_[A-Z_]+/)
+  if (netError) {
+    return new ApiError('RENDER_FAILED', `Failed to load page (${netError[0]})`, { cause: error })
+  }
+  return new ApiError('RENDER_FAILED', `Rendering failed: ${error.message}`, { cause: error })
+}
+
+/**
+ * Loads a URL in a pooled page, runs the requested waits, actions and
+ * scrolling, and captures its HTML, title, screenshot and PDF as requested.
+ * `timeout` covers the whole render, not just navigation. With a binary
+ * `output`, the capture it names is also returned as `binary`.
+ */
+async function renderPage(page, url, options) {
+  const { timeout = TIMEOUT_MS, maxSize = MAX_RESPONSE_SIZE, headers = {}, cookies = {} } = options
+  const render = options.render || parseRenderOptions({}).render
+  const capture = options.capture || parseCaptureOptions({}).capture
+  const deadline = Date.now() + timeout
+  const remaining = () => deadline - Date.now()
+  
+  // Emulate the requested device
+  await page.setViewport(capture.viewport)
+  
+  // Set user agent (an explicit one wins over the device's)
+  await page.setUserAgent(options.userAgent || capture.userAgent || USER_AGENT)
+  
+  // The language goes with every request; custom headers are added by interceptRequests, on the page's origin only
+  if (options.acceptLanguage) {
+    await page.setExtraHTTPHeaders({ 'Accept-Language': options.acceptLanguage })
+  }
+  // Cookies set for the URL are host-only, so other origins never receive them
+  const cookieList = Object.entries(cookies).map(([name, value]) => ({ name, value, url }))
+  if (cookieList.length > 0) {
+    await page.setCookie(...cookieList)
+  }
+  
+  // Check every request the page makes against the SSRF rules
+  const network = await interceptRequests(page, { ...options.network, headers, origin: new URL(url).origin })
+  const recording = recordNetwork(page, options.network)
+  
+  // Navigate to page with timeout; a blocked redirect fails the render
+  try {
+    await page.goto(url, {
+      waitUntil: render.waitUntil,
+      timeout
+    })
+  } catch (error) {
+    if (network.navigationBlocked) {
+      throw new ApiError('BLOCKED_ADDRESS', `Redirect blocked: ${network.navigationBlocked}`)
+    }
+    throw error
+  }
+  if (network.addressBlocked) {
+    throw new ApiError('BLOCKED_ADDRESS', `Blocked: ${network.addressBlocked}`)
+  }
+  
+  // Wait for dynamic content, then interact with the page before capturing it
+  const wait = await waitForContent(page, render, remaining)
+  const actions = render.actions.length > 0 ? await runActions(page, render.actions, remaining) : null
+  const scroll = render.scroll ? await autoScroll(page, render.scroll, remaining) : null
+  
+  // Get full HTML content
+  const html = await page.content()
+  
+  // Check size limit
+  if (html.length > maxSize) {
+    throw new ApiError('TOO_LARGE', `Response too large (${html.length} bytes, max ${maxSize} bytes)`)
+  }
+  
+  // Get additional metadata and captures
+  const title = await page.title()
+  const screenshot = capture.screenshot ? await takeScreenshot(page, capture.screenshot, capture.viewport) : null
+  const pdf = capture.pdf ? await printPdf(page, capture.pdf) : null
+  const { har, jsonResponses, jsonResponsesDropped } = await recording.finish(title, remaining())
+  if (network.addressBlocked) {
+    throw new ApiError('BLOCKED_ADDRESS', `Blocked: ${network.addressBlocked}`)
+  }
+  
+  return {
+    html,
+    finalUrl: page.url(),
+    title,
+    screenshot: toDataUrl(screenshot),
+    ...(pdf && { pdf: toDataUrl(pdf) }),
+    ...(capture.output !== 'json' && { binary: capture.output === 'pdf' ? pdf : screenshot }),
+    ...(har && { har }),
+    ...(jsonResponses && { jsonResponses, jsonResponsesDropped }),
+    renderTime: new Date().toISOString(),
+    render: {
+      waitUntil: render.waitUntil,
+      wait,
+      actions,
+      scroll,
+      device: capture.device,
+      viewport: capture.viewport,
+      network: {
+        requests: network.requests,
+        blocked: network.blocked,
+        blockedCount: network.blockedCount,
+        skippedCount: network.skippedCount
+      }
+    }
+  }
+}
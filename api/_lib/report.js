@@ -0,0 +1,21 @@
+/* eslint-env node */
+import { renderFormats } from './formats.js'
+import { extractFields } from './extract.js'
+import { extractMetadata } from './metadata.js'
+import { extractLinks } from './links.js'
+
+/**
+ * Builds the per-page part of a multi-page response (crawl, batch): the
+ * title, requested formats, recipe data and `include` sections, exactly as a
+ * single scrape would report them
+ */
+export function buildPageReport(html, { pageUrl, formats, include = [], recipe = null }) {
+  return {
+    title: (html.match(/<title[^>]*>([^<]*)<\/title>/i) || [])[1]?.trim() || null,
+    ...renderFormats(html, formats, { pageUrl }),
+    size: html.length,
+    ...(recipe && { data: extractFields(html, recipe.fields, { pageUrl }) }),
+    ...(include.includes('metadata') && { metadata: extractMetadata(html, { pageUrl }) }),
+    ...(include.includes('links') && { links: extractLinks(html, { pageUrl }) })
+  }
+}
@@ -0,0 +1,155 @@
+/* eslint-env node */
+
+// How long a fetched robots.txt is trusted (RFC 9309 asks for at most 24h)
+export const ROBOTS_CACHE_TTL_MS = 60 * 60 * 1000 // 1 hour
+// Failed fetches are retried sooner so a brief outage does not block a site for long
+export const ROBOTS_FAILURE_TTL_MS = 60 * 1000 // 1 minute
+export const ROBOTS_MAX_SIZE = 500 * 1024 // 500KB, the minimum RFC 9309 asks parsers to read
+
+const MAX_CACHED_ORIGINS = 500
+
+const cache = new Map()
+
+/**
+ * Parses robots.txt into user-agent groups. Consecutive User-agent lines
+ * share one group; rules before any User-agent line are ignored.
+ */
+export function parseRobots(text) {
+  const groups = []
+  const sitemaps = []
+  let group = null
+  let lastWasAgent = false
+
+  for (const rawLine of text.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim()
+    const separator = line.indexOf(':')
+    if (separator === -1) continue
+
+    const key = line.slice(0, separator).trim().toLowerCase()
+    const value = line.slice(separator + 1).trim()
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        group = { agents: [], rules: [], crawlDelay: null }
+        groups.push(group)
+      }
+      group.agents.push(value.toLowerCase())
+      lastWasAgent = true
+      continue
+    }
+    lastWasAgent = false
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value)
+    } else if (!group) {
+      continue
+    } else if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: key === 'allow', path: value })
+    } else if (key === 'crawl-delay') {
+      const seconds = parseFloat(value)
+      if (Number.isFinite(seconds) && seconds >= 0) group.crawlDelay = seconds
+    }
+  }
+
+  return { groups, sitemaps }
+}
+
+/**
+ * Turns a robots.txt path pattern (with `*` and a trailing `$`) into a regex
+ */
+function patternToRegex(path) {
+  const anchored = path.endsWith('$')
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${body}${anchored ? '$' : ''}`)
+}
+
+/**
+ * Decodes percent-escapes that do not need escaping so that `/caf%C3%A9`
+ * and `/café` match the same rules
+ */
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path))
+  } catch (error) {
+    return path
+  }
+}
+
+/**
+ * Picks the rules that apply to a user agent: every group naming the most
+ * specific agent token found in the user-agent string, else the `*` groups
+ */
+function selectGroups(robots, userAgent) {
+  const agent = userAgent.toLowerCase()
+  let best = null
+  for (const group of robots.groups) {
+    for (const name of group.agents) {
+      if (name !== '*' && agent.includes(name) && (!best || name.length > best.length)) {
+        best = name
+      }
+    }
+  }
+  const token = best || '*'
+  return robots.groups.filter(group => group.agents.includes(token))
+}
+
+/**
+ * Decides whether `path` (path plus query string) may be fetched. The
+ * longest matching rule wins and Allow wins ties, as in RFC 9309.
+ * Resolves to `{ allowed, rule, crawlDelay }` with the delay in milliseconds.
+ */
+export function matchRobots(robots, userAgent, path) {
+  const groups = selectGroups(robots, userAgent)
+  const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null)
+  const crawlDelay = delays.length > 0 ? Math.round(Math.max(...delays) * 1000) : null
+
+  if (path === '/robots.txt') {
+    return { allowed: true, rule: null, crawlDelay }
+  }
+
+  const target = normalizePath(path)
+  let match = null
+  for (const group of groups) {
+    for (const rule of group.rules) {
+      if (!patternToRegex(normalizePath(rule.path)).test(target)) continue
+      const longer = !match || rule.path.length > match.path.length
+      if (longer || (rule.path.length === match.path.length && rule.allow)) {
+        match = rule
+      }
+    }
+  }
+
+  return {
+    allowed: !match || match.allow,
+    rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.path}` : null,
+    crawlDelay
+  }
+}
+
+/**
+ * Returns the cached robots.txt rules for an origin, if still fresh
+ */
+export function getCachedRobots(origin) {
+  const entry = cache.get(origin)
+  if (!entry) return null
+  if (entry.expires <= Date.now()) {
+    cache.delete(origin)
+    return null
+  }
+  return entry.robots
+}
+
+/**
+ * Caches robots.txt rules for an origin, evicting the oldest entry when full
+ */
+export function cacheRobots(origin, robots, ttl = ROBOTS_CACHE_TTL_MS) {
+  cache.delete(origin)
+  if (cache.size >= MAX_CACHED_ORIGINS) {
+    cache.delete(cache.keys().next().value)
+  }
+  cache.set(origin, { robots, expires: Date.now() + ttl })
+}
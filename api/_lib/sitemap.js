@@ -0,0 +1,239 @@
+/* eslint-env node */
+import zlib from 'zlib'
+import * as cheerio from 'cheerio'
+import { URL } from 'url'
+import { fetchResource, getRobots } from './fetch.js'
+import { ApiError } from './errors.js'
+import { mapWithConcurrency } from './concurrency.js'
+
+// Server-side bounds for sitemap discovery
+export const SITEMAP_LIMITS = {
+  defaultMaxFiles: 20,
+  maxFiles: 50,
+  defaultMaxUrls: 1000,
+  maxUrls: 10000
+}
+
+// Sitemaps may be much larger than pages (the protocol allows 50MB)
+export const SITEMAP_MAX_SIZE = 5 * 1024 * 1024 // 5MB
+const SITEMAP_CONCURRENCY = 3
+// Whole-run time budget, leaving headroom under the 60s function maxDuration
+export const SITEMAP_BUDGET_MS = 45000
+// Sitemap indexes must not nest, but some sites do; stop after this many levels
+const MAX_INDEX_DEPTH = 3
+
+const localName = (element) => element.name.split(':').pop().toLowerCase()
+const childText = ($, element, name) => {
+  const child = $(element).children().toArray().find(node => localName(node) === name)
+  return child ? $(child).text().trim() : null
+}
+
+/**
+ * Returns the raw sitemap bytes, gunzipping `.xml.gz` files that were
+ * served as plain binaries rather than with Content-Encoding
+ */
+function unpack(body) {
+  if (body.length > 2 && body[0] === 0x1f && body[1] === 0x8b) {
+    try {
+      return zlib.gunzipSync(body, { maxOutputLength: SITEMAP_MAX_SIZE })
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw new ApiError('TOO_LARGE', `Response too large (max ${SITEMAP_MAX_SIZE} bytes uncompressed)`)
+      }
+      throw new Error('Could not decompress gzip sitemap')
+    }
+  }
+  return body
+}
+
+/**
+ * Reads one `<url>` entry, including the image, news and hreflang extensions
+ */
+function readUrlEntry($, element) {
+  const entry = {
+    loc: childText($, element, 'loc'),
+    lastmod: childText($, element, 'lastmod'),
+    changefreq: childText($, element, 'changefreq'),
+    priority: childText($, element, 'priority') === null ? null : parseFloat(childText($, element, 'priority'))
+  }
+
+  const children = $(element).children().toArray()
+  const images = children.filter(node => localName(node) === 'image').map(image => ({
+    loc: childText($, image, 'loc'),
+    title: childText($, image, 'title'),
+    caption: childText($, image, 'caption')
+  }))
+  if (images.length > 0) entry.images = images
+
+  const news = children.find(node => localName(node) === 'news')
+  if (news) {
+    const publication = $(news).children().toArray().find(node => localName(node) === 'publication')
+    entry.news = {
+      publication: publication ? childText($, publication, 'name') : null,
+      language: publication ? childText($, publication, 'language') : null,
+      publicationDate: childText($, news, 'publication_date'),
+      title: childText($, news, 'title'),
+      keywords: (childText($, news, 'keywords') || '').split(',').map(keyword => keyword.trim()).filter(Boolean)
+    }
+  }
+
+  const alternates = children
+    .filter(node => localName(node) === 'link' && $(node).attr('rel') === 'alternate' && $(node).attr('href'))
+    .map(link => ({ hreflang: $(link).attr('hreflang') || null, href: $(link).attr('href') }))
+  if (alternates.length > 0) entry.alternates = alternates
+
+  return entry
+}
+
+/**
+ * Parses a sitemap document: an XML `<urlset>`, an XML `<sitemapindex>`, or
+ * a plain-text list with one URL per line
+ */
+export function parseSitemap(text) {
+  const source = text.replace(/^\uFEFF/, '').trim()
+
+  if (!source.startsWith('<')) {
+    const urls = source.split(/\r?\n/).map(line => line.trim()).filter(line => /^https?:\/\//i.test(line))
+    return { type: 'text', urls: urls.map(loc => ({ loc, lastmod: null, changefreq: null, priority: null })), sitemaps: [] }
+  }
+
+  const $ = cheerio.load(source, { xmlMode: true })
+  const root = $.root().children().toArray().find(node => node.type === 'tag')
+  const rootName = root ? localName(root) : null
+
+  if (rootName === 'sitemapindex') {
+    const sitemaps = $(root).children().toArray()
+      .filter(node => localName(node) === 'sitemap')
+      .map(node => ({ loc: childText($, node, 'loc'), lastmod: childText($, node, 'lastmod') }))
+      .filter(sitemap => sitemap.loc)
+    return { type: 'index', urls: [], sitemaps }
+  }
+
+  if (rootName === 'urlset') {
+    const urls = $(root).children().toArray()
+      .filter(node => localName(node) === 'url')
+      .map(node => readUrlEntry($, node))
+      .filter(entry => entry.loc)
+    return { type: 'urlset', urls, sitemaps: [] }
+  }
+
+  throw new Error('Not a sitemap (expected <urlset> or <sitemapindex>)')
+}
+
+/**
+ * Finds a site's sitemaps from its robots.txt `Sitemap:` lines plus
+ * `/sitemap.xml`. A URL that points at a sitemap file itself (.xml, .xml.gz
+ * or .txt) is used as-is.
+ */
+export async function discoverSitemaps(siteUrl, options = {}) {
+  const url = new URL(siteUrl)
+  if (/\.(xml|xml\.gz|txt)$/i.test(url.pathname) && url.pathname !== '/robots.txt') {
+    return [{ url: url.href, source: 'request' }]
+  }
+
+  const robots = await getRobots(url.origin, options)
+  const found = robots.sitemaps.map(sitemap => {
+    try {
+      return { url: new URL(sitemap, url.origin).href, source: 'robots' }
+    } catch (error) {
+      return null
+    }
+  }).filter(Boolean)
+
+  const fallback = new URL('/sitemap.xml', url.origin).href
+  if (!found.some(sitemap => sitemap.url === fallback)) {
+    found.push({ url: fallback, source: 'default' })
+  }
+  return found
+}
+
+/**
+ * Discovers and reads a site's sitemaps breadth-first, following sitemap
+ * indexes, until `maxFiles` sitemap files or `maxUrls` URLs have been read.
+ * Every file is fetched through fetchResource, so the SSRF guard, robots.txt
+ * and size limits apply. Files that fail are reported rather than aborting
+ * the whole run, and files not started within the time budget are skipped.
+ */
+export async function collectSitemaps(siteUrl, { maxFiles, maxUrls, budget = SITEMAP_BUDGET_MS, ...options }) {
+  const deadline = Date.now() + budget
+  const seen = new Set()
+  const sitemaps = []
+  const urls = new Map()
+  let skipped = 0
+  let truncated = false
+
+  let queue = (await discoverSitemaps(siteUrl, options)).map(sitemap => ({ ...sitemap, depth: 0 }))
+  while (queue.length > 0) {
+    const batch = queue.filter(sitemap => !seen.has(sitemap.url))
+    batch.forEach(sitemap => seen.add(sitemap.url))
+    const slots = maxFiles - sitemaps.length
+    skipped += Math.max(batch.length - slots, 0)
+
+    const results = await mapWithConcurrency(batch.slice(0, slots), SITEMAP_CONCURRENCY, async (sitemap) => {
+      const remaining = deadline - Date.now()
+      if (remaining <= 0) return null
+
+      const report = { url: sitemap.url, source: sitemap.source, type: null, urls: 0, sitemaps: 0, error: null }
+      try {
+        const { body } = await fetchResource(sitemap.url, {
+          ...options,
+          maxSize: SITEMAP_MAX_SIZE,
+          timeout: Math.min(options.timeout || remaining, remaining)
+        })
+        const parsed = parseSitemap(unpack(body).toString('utf8'))
+        report.type = parsed.type
+        report.urls = parsed.urls.length
+        report.sitemaps = parsed.sitemaps.length
+        return { report, parsed, depth: sitemap.depth }
+      } catch (error) {
+        report.error = error.message
+        return { report, parsed: null, depth: sitemap.depth }
+      }
+    })
+
+    const next = []
+    for (const result of results) {
+      if (!result) {
+        skipped++
+        continue
+      }
+      const { report, parsed, depth } = result
+      sitemaps.push(report)
+      if (!parsed) continue
+
+      for (const entry of parsed.urls) {
+        if (urls.has(entry.loc)) continue
+        if (urls.size >= maxUrls) {
+          truncated = true
+          break
+        }
+        urls.set(entry.loc, { ...entry, sitemap: report.url })
+      }
+
+      if (depth < MAX_INDEX_DEPTH) {
+        next.push(...parsed.sitemaps.map(child => ({ url: child.loc, source: 'index', depth: depth + 1 })))
+      } else {
+        skipped += parsed.sitemaps.length
+      }
+    }
+
+    if (urls.size >= maxUrls && next.length > 0) {
+      truncated = true
+      skipped += next.length
+      break
+    }
+    queue = next
+  }
+
+  return {
+    sitemaps,
+    urls: [...urls.values()],
+    summary: {
+      sitemapsRead: sitemaps.filter(sitemap => !sitemap.error).length,
+      sitemapsFailed: sitemaps.filter(sitemap => sitemap.error).length,
+      sitemapsSkipped: skipped,
+      urls: urls.size,
+      truncated: truncated || skipped > 0
+    }
+  }
+}
@@ -0,0 +1,173 @@
+/* eslint-env node */
+import { URL } from 'url'
+import net from 'net'
+import dns from 'dns/promises'
+
+// Special-purpose IPv4 ranges (IANA registry) that must never be fetched
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "This network"
+  ['10.0.0.0', 8], // Private
+  ['100.64.0.0', 10], // Carrier-grade NAT
+  ['127.0.0.0', 8], // Loopback
+  ['169.254.0.0', 16], // Link-local (cloud metadata endpoints)
+  ['172.16.0.0', 12], // Private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // TEST-NET-1
+  ['192.88.99.0', 24], // 6to4 relay anycast
+  ['192.168.0.0', 16], // Private
+  ['198.18.0.0', 15], // Benchmarking
+  ['198.51.100.0', 24], // TEST-NET-2
+  ['203.0.113.0', 24], // TEST-NET-3
+  ['224.0.0.0', 4], // Multicast
+  ['240.0.0.0', 4] // Reserved, including broadcast
+]
+
+// Special-purpose IPv6 ranges. IPv4-mapped addresses are matched against the
+// IPv4 table by BlockList itself; NAT64 and 6to4 are unpacked separately.
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128], // Unspecified
+  ['::1', 128], // Loopback
+  ['::', 96], // IPv4-compatible (deprecated)
+  ['100::', 64], // Discard-only
+  ['2001::', 23], // IETF protocol assignments (Teredo, ORCHID, ...)
+  ['2001:db8::', 32], // Documentation
+  ['fc00::', 7], // Unique local
+  ['fe80::', 10], // Link-local
+  ['fec0::', 10], // Site-local (deprecated)
+  ['ff00::', 8] // Multicast
+]
+
+const blockList = new net.BlockList()
+for (const [network, prefix] of BLOCKED_IPV4_RANGES) {
+  blockList.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of BLOCKED_IPV6_RANGES) {
+  blockList.addSubnet(network, prefix, 'ipv6')
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups
+ */
+function expandIpv6(address) {
+  let value = address
+  // Convert a trailing dotted quad into two hex groups
+  const dotted = value.match(/(\d+\.\d+\.\d+\.\d+)$/)
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number)
+    value = value.slice(0, -dotted[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`
+  }
+
+  const [head, tail] = value.split('::')
+  const headGroups = head ? head.split(':') : []
+  const tailGroups = tail ? tail.split(':') : []
+  const missing = value.includes('::') ? 8 - headGroups.length - tailGroups.length : 0
+
+  return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16))
+}
+
+/**
+ * Returns the IPv4 address embedded in a NAT64 (64:ff9b::/96) or 6to4
+ * (2002::/16) IPv6 address, or null for any other address
+ */
+function embeddedIpv4(address) {
+  const groups = expandIpv6(address)
+  const toDotted = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.')
+
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0)) {
+    return toDotted(groups[6], groups[7])
+  }
+
+  if (groups[0] === 0x2002) {
+    return toDotted(groups[1], groups[2])
+  }
+
+  return null
+}
+
+/**
+ * Checks whether an IP address literal falls in a private or reserved range
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address)
+
+  if (family === 4) {
+    return blockList.check(address, 'ipv4')
+  }
+
+  if (family === 6) {
+    if (blockList.check(address, 'ipv6')) {
+      return true
+    }
+    const embedded = embeddedIpv4(address)
+    return embedded ? blockList.check(embedded, 'ipv4') : false
+  }
+
+  // Anything that is not an IP literal is treated as unsafe
+  return true
+}
+
+/**
+ * Validates if a URL is safe to scrape. The hostname is resolved and every
+ * returned address must be public; the first vetted address is returned so
+ * the caller can pin the connection to it and defeat DNS rebinding. Failures
+ * carry an error `code` (see errors.js).
+ */
+export async function validateUrl(urlString) {
+  let url
+  try {
+    url = new URL(urlString)
+  } catch (error) {
+    return { valid: false, code: 'INVALID_URL', error: 'Invalid URL format' }
+  }
+
+  // Only allow HTTP and HTTPS
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { valid: false, code: 'INVALID_URL', error: 'Only HTTP and HTTPS URLs are allowed' }
+  }
+
+  // Credentials in the URL would be forwarded to the target
+  if (url.username || url.password) {
+    return { valid: false, code: 'INVALID_URL', error: 'URLs with credentials are not allowed' }
+  }
+
+  // The URL parser already normalises decimal, octal and hex IPv4 forms
+  const hostname = url.hostname.toLowerCase().replace(/^\[|\]$/g, '')
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return { valid: false, code: 'BLOCKED_ADDRESS', error: 'This hostname is not allowed' }
+  }
+
+  let addresses
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }]
+  } else {
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true })
+    } catch (error) {
+      return { valid: false, code: 'HOST_NOT_FOUND', error: `Could not resolve hostname ${hostname}` }
+    }
+  }
+
+  if (addresses.length === 0) {
+    return { valid: false, code: 'HOST_NOT_FOUND', error: `Could not resolve hostname ${hostname}` }
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { valid: false, code: 'BLOCKED_ADDRESS', error: 'Private IP addresses are not allowed' }
+  }
+
+  return { valid: true, url, address: addresses[0].address, family: addresses[0].family }
+}
+
+/**
+ * Builds a `lookup` function for http.request that always answers with the
+ * already-vetted address instead of resolving the hostname a second time
+ */
+export function pinnedLookup(address, family) {
+  return (hostname, options, callback) => {
+    if (options && options.all) {
+      callback(null, [{ address, family }])
+    } else {
+      callback(null, address, family)
+    }
+  }
+}
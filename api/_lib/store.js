@@ -0,0 +1,121 @@
+/* eslint-env node */
+import fs from 'fs/promises'
+import path from 'path'
+
+// Record IDs are generated server-side; anything else is refused before touching the disk
+const ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+
+/**
+ * Keeps records (objects with an `id`) in process memory. They are lost on
+ * restart and are not shared between serverless instances, which is fine
+ * for the dev server.
+ */
+export function createMemoryStore() {
+  const records = new Map()
+
+  return {
+    async get(id) {
+      const record = records.get(id)
+      return record ? structuredClone(record) : null
+    },
+    async set(record) {
+      records.set(record.id, structuredClone(record))
+    },
+    async delete(id) {
+      records.delete(id)
+    },
+    async list() {
+      return [...records.values()].map(record => structuredClone(record))
+    }
+  }
+}
+
+/**
+ * Keeps one JSON file per record in `dir`, so records survive a dev server
+ * restart and can be read by other processes sharing the directory. Writes
+ * go through a temporary file and a rename so readers never see half a
+ * record.
+ */
+export function createFileStore(dir) {
+  const fileFor = (id) => {
+    if (!ID_PATTERN.test(id)) throw new Error(`Invalid record ID: ${id}`)
+    return path.join(dir, `${id}.json`)
+  }
+  const ready = fs.mkdir(dir, { recursive: true })
+
+  const read = async (file) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      throw error
+    }
+  }
+
+  return {
+    async get(id) {
+      await ready
+      return ID_PATTERN.test(id) ? read(fileFor(id)) : null
+    },
+    async set(record) {
+      await ready
+      const file = fileFor(record.id)
+      const temp = `${file}.${process.pid}.tmp`
+      await fs.writeFile(temp, JSON.stringify(record))
+      await fs.rename(temp, file)
+    },
+    async delete(id) {
+      await ready
+      await fs.rm(fileFor(id), { force: true })
+    },
+    async list() {
+      await ready
+      const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'))
+      const records = await Promise.all(files.map(file => read(path.join(dir, file))))
+      return records.filter(Boolean)
+    }
+  }
+}
+
+// Store directories by store name; without one a store lives in memory
+const STORE_DIRS = {
+  jobs: () => process.env.JOB_STORE_DIR,
+  snapshots: () => process.env.MONITOR_STORE_DIR && path.join(process.env.MONITOR_STORE_DIR, 'snapshots'),
+  watches: () => process.env.MONITOR_STORE_DIR && path.join(process.env.MONITOR_STORE_DIR, 'watches')
+}
+
+const stores = new Map()
+// Stores getStore created in memory, as opposed to file stores and stores plugged in with setStore
+const memoryStores = new WeakSet()
+
+/**
+ * Returns a named store (`jobs`, `snapshots` or `watches`): a file store when
+ * its directory is configured (JOB_STORE_DIR, or MONITOR_STORE_DIR for
+ * snapshots and watches), otherwise an in-memory store. Deployments that
+ * need data shared between instances can plug in their own store (any
+ * object with async `get`, `set`, `delete` and `list`) with setStore.
+ */
+export function getStore(name) {
+  if (!stores.has(name)) {
+    const dir = STORE_DIRS[name]?.()
+    const store = dir ? createFileStore(dir) : createMemoryStore()
+    if (!dir) memoryStores.add(store)
+    stores.set(name, store)
+  }
+  return stores.get(name)
+}
+
+/**
+ * Checks whether a named store lives in this process's memory, so other
+ * instances and later invocations cannot see its records
+ */
+export function isMemoryStore(name) {
+  return memoryStores.has(getStore(name))
+}
+
+/**
+ * Replaces a named store
+ */
+export function setStore(name, custom) {
+  stores.set(name, custom)
+}
@@ -0,0 +1,175 @@
+/* eslint-env node */
+import { validateUrl } from './ssrf.js'
+import { loadPage, scrapeLimits } from './auto.js'
+import { MAX_CONCURRENT_PAGES } from './browser-pool.js'
+import { parseScrapeOptions, parseMode } from './options.js'
+import { parseBatchOptions, runBatch } from './batch.js'
+import { parseCrawlOptions, crawl } from './crawl.js'
+import { getRecipe } from './recipes.js'
+import { buildPageReport } from './report.js'
+import { checkLinks, LINK_CHECK_BUDGET_MS } from './links.js'
+
+/**
+ * Returns a page loader for the mode. Dynamic and auto pages may use the
+ * browser pool, so callers run at most MAX_CONCURRENT_PAGES of them at a time.
+ */
+function pageFetcher(mode, options) {
+  return (url, { timeout }) => loadPage(mode, url, { ...options, timeout })
+}
+
+/**
+ * Caps a task's concurrency at the browser pool's page limit when it may render
+ */
+const pageConcurrency = (mode, concurrency) => (mode === 'static' ? concurrency : Math.min(concurrency, MAX_CONCURRENT_PAGES))
+
+/**
+ * Validates the per-page scrape options shared by every task and looks up
+ * the recipe. `unsupported` names the task in the checkLinks error, for
+ * tasks that cannot check links.
+ */
+async function prepareScrapeOptions(scrapeBody, mode, unsupported) {
+  const request = parseScrapeOptions(scrapeBody, scrapeLimits(mode))
+  if (!request.valid) {
+    return request
+  }
+
+  if (unsupported && request.checkLinks) {
+    return { valid: false, error: `\`checkLinks\` is not supported for ${unsupported}` }
+  }
+
+  // Binary captures and network recordings are only returned by /api/scrape-dynamic
+  if (request.options.capture && request.options.capture.output !== 'json') {
+    return { valid: false, error: '`output` is only supported by /api/scrape-dynamic' }
+  }
+  if (request.options.network && (request.options.network.har || request.options.network.captureJson)) {
+    return { valid: false, error: '`har` and `captureJson` are only supported by /api/scrape-dynamic' }
+  }
+
+  // Look up the extraction recipe, if one was requested
+  const recipe = request.recipe ? await getRecipe(request.recipe) : null
+  if (request.recipe && !recipe) {
+    return { valid: false, error: `Unknown recipe: ${request.recipe}` }
+  }
+
+  // Every page gets the same formats, recipe data and report sections as a single scrape
+  const renderPage = ({ html, finalUrl }) => buildPageReport(html, {
+    pageUrl: finalUrl,
+    formats: request.formats,
+    include: request.include,
+    recipe
+  })
+
+  return { valid: true, request, recipe, renderPage }
+}
+
+/**
+ * Prepares a single-page scrape from a POST body (`mode` plus the usual
+ * scrape options). Resolves to `{ valid, error }` or to
+ * `{ valid, mode, recipe, total, run }`, where `run({ budget })` resolves to
+ * the page report.
+ */
+export async function prepareScrape(body) {
+  const { mode: requestedMode, ...scrapeBody } = body
+  const { mode, error } = parseMode(requestedMode)
+  if (error) {
+    return { valid: false, error }
+  }
+
+  const prepared = await prepareScrapeOptions(scrapeBody, mode)
+  if (!prepared.valid) {
+    return prepared
+  }
+  const { request, recipe, renderPage } = prepared
+
+  const validation = await validateUrl(request.url)
+  if (!validation.valid) {
+    return { valid: false, code: validation.code, error: validation.error }
+  }
+
+  const run = async ({ budget = LINK_CHECK_BUDGET_MS } = {}) => {
+    const loaded = await pageFetcher(mode, request.options)(validation.url.href, { timeout: request.options.timeout })
+    const report = {
+      url: validation.url.href,
+      finalUrl: loaded.finalUrl,
+      status: loaded.status ?? null,
+      ...(loaded.detection && { method: loaded.method, detection: loaded.detection }),
+      ...renderPage({ html: loaded.html, finalUrl: loaded.finalUrl })
+    }
+    if (report.links && request.checkLinks) {
+      report.links = await checkLinks(report.links, { ...request.options, budget })
+    }
+    return report
+  }
+
+  return { valid: true, mode, recipe, total: 1, run }
+}
+
+/**
+ * Prepares a batch from a POST body (see parseBatchOptions). Resolves to
+ * `{ valid, error }` or to `{ valid, mode, recipe, total, run }`, where
+ * `run({ budget, signal, onItem })` resolves to runBatch's results and
+ * summary and calls `onItem` with each result.
+ */
+export async function prepareBatch(body) {
+  const batch = parseBatchOptions(body)
+  if (!batch.valid) {
+    return batch
+  }
+
+  const prepared = await prepareScrapeOptions(batch.scrapeBody, batch.mode, 'batches')
+  if (!prepared.valid) {
+    return prepared
+  }
+  const { request, recipe, renderPage } = prepared
+
+  const run = ({ budget, signal, onItem } = {}) => runBatch(batch.urls, {
+    concurrency: pageConcurrency(batch.mode, batch.concurrency),
+    timeout: request.options.timeout,
+    budget,
+    signal,
+    fetchPage: pageFetcher(batch.mode, request.options),
+    renderPage,
+    onResult: onItem
+  })
+
+  return { valid: true, mode: batch.mode, recipe, total: batch.urls.length, run }
+}
+
+/**
+ * Prepares a crawl from a POST body (see parseCrawlOptions). Resolves to
+ * `{ valid, error }` or to `{ valid, mode, stream, recipe, total, run }`,
+ * where `total` is the page cap and `run({ budget, signal, onItem })`
+ * resolves to the crawl's pages and summary and calls `onItem` with each page.
+ */
+export async function prepareCrawl(body) {
+  const crawlOptions = parseCrawlOptions(body)
+  if (!crawlOptions.valid) {
+    return crawlOptions
+  }
+  const { mode, stream, ...limits } = crawlOptions.crawl
+
+  const prepared = await prepareScrapeOptions(crawlOptions.scrapeBody, mode, 'crawls')
+  if (!prepared.valid) {
+    return prepared
+  }
+  const { request, recipe, renderPage } = prepared
+
+  // Validate the seed URL
+  const validation = await validateUrl(request.url)
+  if (!validation.valid) {
+    return { valid: false, code: validation.code, error: validation.error }
+  }
+
+  const run = ({ budget, signal, onItem } = {}) => crawl(validation.url.href, {
+    ...limits,
+    concurrency: pageConcurrency(mode, limits.concurrency),
+    timeout: request.options.timeout,
+    budget,
+    signal,
+    fetchPage: pageFetcher(mode, request.options),
+    renderPage,
+    onPage: onItem
+  })
+
+  return { valid: true, mode, stream, recipe, total: limits.maxPages, run }
+}
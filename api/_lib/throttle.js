@@ -0,0 +1,87 @@
+/* eslint-env node */
+import { ApiError } from './errors.js'
+
+// Politeness defaults per target host, overridable through the environment
+export const HOST_MIN_DELAY_MS = Number(process.env.HOST_MIN_DELAY_MS) || 100
+export const HOST_MAX_CONCURRENCY = Number(process.env.HOST_MAX_CONCURRENCY) || 2
+
+// Upper bound for a robots.txt Crawl-delay, so one site cannot stall a request
+export const MAX_CRAWL_DELAY_MS = 10000
+
+// Idle hosts are forgotten once the table grows past this size
+const MAX_TRACKED_HOSTS = 1000
+
+const hosts = new Map()
+
+/**
+ * Starts as many waiting requests for a host as its concurrency and delay allow
+ */
+function pump(state) {
+  if (state.timer || state.waiting.length === 0 || state.active >= HOST_MAX_CONCURRENCY) return
+
+  const wait = state.nextStart - Date.now()
+  if (wait > 0) {
+    state.timer = setTimeout(() => {
+      state.timer = null
+      pump(state)
+    }, wait)
+    return
+  }
+
+  const { resolve, delay, timer } = state.waiting.shift()
+  clearTimeout(timer)
+  state.active++
+  state.nextStart = Date.now() + delay
+  resolve()
+  pump(state)
+}
+
+/**
+ * Drops hosts that have no requests in flight or waiting
+ */
+function prune() {
+  if (hosts.size <= MAX_TRACKED_HOSTS) return
+  const now = Date.now()
+  for (const [hostname, state] of hosts) {
+    if (state.active === 0 && state.waiting.length === 0 && state.nextStart <= now) {
+      hosts.delete(hostname)
+    }
+  }
+}
+
+/**
+ * Runs `task` once the host has a free slot: at most HOST_MAX_CONCURRENCY
+ * requests per host at a time, started at least `delay` milliseconds apart
+ * (HOST_MIN_DELAY_MS, or a longer robots.txt Crawl-delay). The schedule is
+ * shared by every endpoint running in the same process. With a `timeout`,
+ * the wait counts against it: a slot that does not come up in time fails
+ * with TIMEOUT, and `task` is called with the milliseconds left.
+ */
+export async function withHostSlot(hostname, task, { delay = HOST_MIN_DELAY_MS, timeout = Infinity } = {}) {
+  const key = hostname.toLowerCase()
+  if (!hosts.has(key)) {
+    prune()
+    hosts.set(key, { active: 0, nextStart: 0, waiting: [], timer: null })
+  }
+  const state = hosts.get(key)
+  const deadline = Date.now() + timeout
+
+  await new Promise((resolve, reject) => {
+    const waiter = { resolve, delay: Math.min(Math.max(delay, HOST_MIN_DELAY_MS), MAX_CRAWL_DELAY_MS), timer: null }
+    if (Number.isFinite(timeout)) {
+      waiter.timer = setTimeout(() => {
+        state.waiting.splice(state.waiting.indexOf(waiter), 1)
+        reject(new ApiError('TIMEOUT', `Request timed out waiting for a turn on ${hostname} (per-host limit or Crawl-delay)`))
+      }, timeout)
+    }
+    state.waiting.push(waiter)
+    pump(state)
+  })
+
+  try {
+    return await task(deadline - Date.now())
+  } finally {
+    state.active--
+    pump(state)
+  }
+}
@@ -0,0 +1,24 @@
+/* eslint-env node */
+import { URL } from 'url'
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' }
+
+/**
+ * Normalises a URL for de-duplication: drops the fragment and default port,
+ * lowercases scheme and host, and removes an empty query string. Returns
+ * null for anything that is not HTTP(S).
+ */
+export function normalizeUrl(value) {
+  let url
+  try {
+    url = new URL(value)
+  } catch (error) {
+    return null
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null
+
+  url.hash = ''
+  if (url.port === DEFAULT_PORTS[url.protocol]) url.port = ''
+  if (!url.search) url.search = ''
+  return url.href
+}
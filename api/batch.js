@@ -0,0 +1,54 @@
+/* eslint-env node */
+import { readJsonBody } from './_lib/options.js'
+import { prepareBatch } from './_lib/tasks.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+/**
+ * Main serverless function handler for batch scraping
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      throw requestError(json)
+    }
+    
+    // Validate the URL list, batch settings and per-page scrape options
+    const batch = await prepareBatch(json.body)
+    if (!batch.valid) {
+      throw requestError(batch)
+    }
+    
+    const { results, summary } = await batch.run()
+    
+    // Return successful response, even when individual URLs failed
+    return res.status(200).json({
+      results,
+      summary,
+      mode: batch.mode,
+      ...(batch.recipe && { recipe: batch.recipe.name }),
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to run batch')
+  }
+}
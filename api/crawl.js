@@ -0,0 +1,72 @@
+/* eslint-env node */
+import { readJsonBody } from './_lib/options.js'
+import { prepareCrawl } from './_lib/tasks.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError, errorEnvelope } from './_lib/errors.js'
+
+/**
+ * Main serverless function handler for same-site crawls
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      throw requestError(json)
+    }
+    
+    // Validate the seed URL, crawl settings and per-page scrape options
+    const task = await prepareCrawl(json.body)
+    if (!task.valid) {
+      throw requestError(task)
+    }
+    const { mode, recipe } = task
+    
+    // Streamed crawls send one JSON line per page as it completes, then the summary
+    if (task.stream) {
+      res.status(200)
+      res.setHeader('Content-Type', 'application/x-ndjson')
+      const { summary } = await task.run({
+        onItem: (page) => res.write(`${JSON.stringify({ type: 'page', page })}\n`)
+      })
+      res.end(`${JSON.stringify({ type: 'summary', summary, mode, ...(recipe && { recipe: recipe.name }), timestamp: new Date().toISOString() })}\n`)
+      return
+    }
+    
+    const { pages, summary } = await task.run()
+    
+    // Return successful response
+    return res.status(200).json({
+      pages,
+      summary,
+      mode,
+      ...(recipe && { recipe: recipe.name }),
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    // Once streaming has started the status line is gone; report in-band instead
+    if (res.headersSent) {
+      res.end(`${JSON.stringify({ type: 'error', ...errorEnvelope(req, error, 'Crawl failed').body })}\n`)
+      return
+    }
+    
+    return sendError(req, res, error, 'Failed to crawl URL')
+  }
+}
@@ -0,0 +1,85 @@
+/* eslint-env node */
+import { readJsonBody } from './_lib/options.js'
+import { parseScope } from './_lib/diff.js'
+import { getSnapshot, listSnapshots, compareSnapshots } from './_lib/monitor.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+/**
+ * Reads the snapshots to compare and the diff scope from a GET query string
+ * or a POST JSON body. `from` and `to` are snapshot IDs; with only `url`,
+ * the two latest snapshots of that URL are compared.
+ */
+async function readDiffRequest(req) {
+  let source = req.query
+  if (req.method === 'POST') {
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      return { valid: false, error: json.error }
+    }
+    source = json.body || {}
+  }
+
+  const { scope, error } = parseScope(source)
+  if (error) {
+    return { valid: false, error }
+  }
+
+  let { from, to } = source
+  if (!from && !to && source.url) {
+    const [latest, previous] = await listSnapshots(source.url)
+    if (!previous) {
+      return { valid: false, code: 'NOT_FOUND', error: 'At least two snapshots of this URL are needed' }
+    }
+    from = previous.id
+    to = latest.id
+  }
+  if (typeof from !== 'string' || typeof to !== 'string' || !from || !to) {
+    return { valid: false, error: 'Both `from` and `to` snapshot IDs (or a `url`) are required' }
+  }
+
+  const [before, after] = await Promise.all([getSnapshot(from), getSnapshot(to)])
+  if (!before || !after) {
+    return { valid: false, code: 'NOT_FOUND', error: `Snapshot not found: ${before ? to : from}` }
+  }
+
+  return { valid: true, before, after, scope }
+}
+
+/**
+ * Main serverless function handler for snapshot diffs
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    const request = await readDiffRequest(req)
+    if (!request.valid) {
+      throw requestError(request)
+    }
+    
+    // Return the line diff of the scoped text
+    return res.status(200).json({
+      ...compareSnapshots(request.before, request.after, request.scope),
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to diff snapshots')
+  }
+}
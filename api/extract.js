@@ -0,0 +1,100 @@
+/* eslint-env node */
+import { validateUrl } from './_lib/ssrf.js'
+import { loadPage, scrapeLimits } from './_lib/auto.js'
+import { readJsonBody, parseScrapeOptions, parseMode } from './_lib/options.js'
+import { parseFields, extractFields } from './_lib/extract.js'
+import { getRecipe } from './_lib/recipes.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+/**
+ * Main serverless function handler for CSS-selector extraction
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow POST requests
+  if (req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      throw requestError(json)
+    }
+    
+    // Split extraction settings from the regular scrape options
+    const { fields, mode: requestedMode, ...scrapeBody } = json.body || {}
+    const { mode, error: modeError } = parseMode(requestedMode)
+    if (modeError) {
+      throw new ApiError('INVALID_REQUEST', modeError)
+    }
+    
+    const request = parseScrapeOptions(scrapeBody, scrapeLimits(mode))
+    if (!request.valid) {
+      throw requestError(request)
+    }
+    if (request.options.capture && request.options.capture.output !== 'json') {
+      throw new ApiError('INVALID_REQUEST', '`output` is only supported by /api/scrape-dynamic')
+    }
+    if (request.options.network && (request.options.network.har || request.options.network.captureJson)) {
+      throw new ApiError('INVALID_REQUEST', '`har` and `captureJson` are only supported by /api/scrape-dynamic')
+    }
+    
+    // Fields come either inline or from a saved recipe
+    if ((fields === undefined) === !request.recipe) {
+      throw new ApiError('INVALID_REQUEST', 'Provide exactly one of `fields` or `recipe`')
+    }
+    
+    let extractionFields
+    if (request.recipe) {
+      const recipe = await getRecipe(request.recipe)
+      if (!recipe) {
+        throw new ApiError('INVALID_REQUEST', `Unknown recipe: ${request.recipe}`)
+      }
+      extractionFields = recipe.fields
+    } else {
+      const parsedFields = parseFields(fields)
+      if (!parsedFields.valid) {
+        throw requestError(parsedFields)
+      }
+      extractionFields = parsedFields.fields
+    }
+    
+    // Validate URL
+    const validation = await validateUrl(request.url)
+    if (!validation.valid) {
+      throw requestError(validation)
+    }
+    
+    // Fetch the page with the requested renderer
+    const page = await loadPage(mode, validation.url.href, request.options)
+    
+    // Return successful response
+    const finalUrl = page.finalUrl || validation.url.href
+    return res.status(200).json({
+      data: extractFields(page.html, extractionFields, { pageUrl: finalUrl }),
+      url: validation.url.href,
+      finalUrl,
+      mode,
+      ...(page.detection && { method: page.method, detection: page.detection }),
+      ...(request.recipe && { recipe: request.recipe }),
+      ...(page.render && { render: page.render }),
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to extract data from URL')
+  }
+}
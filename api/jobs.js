@@ -0,0 +1,69 @@
+/* eslint-env node */
+import { readJsonBody } from './_lib/options.js'
+import { submitJob, getJob, cancelJob } from './_lib/jobs.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+/**
+ * Handler for asynchronous jobs. `POST /api/jobs` submits a job; `GET` and
+ * `DELETE /api/jobs/:id` (the ID arrives as `?id=`) return and cancel one.
+ * Jobs keep running after the response, so this is served by the dev server
+ * and is not deployed to Vercel (see .vercelignore).
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  const id = req.query.id
+  
+  // Only allow POST for the collection, and GET and DELETE for a single job
+  if (id ? !['GET', 'DELETE'].includes(req.method) : req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    if (!id) {
+      const json = readJsonBody(req)
+      if (!json.valid) {
+        throw requestError(json)
+      }
+      
+      // Validate and queue the job; it runs after this response is sent
+      const submission = await submitJob(json.body)
+      if (!submission.valid) {
+        throw requestError(submission)
+      }
+      
+      return res.status(202).json({ ...submission.job, statusUrl: `/api/jobs/${submission.job.id}` })
+    }
+    
+    if (req.method === 'DELETE') {
+      const cancellation = await cancelJob(id)
+      if (!cancellation) {
+        throw new ApiError('NOT_FOUND', 'Job not found')
+      }
+      if (!cancellation.cancelled) {
+        throw new ApiError('CONFLICT', `Job already ${cancellation.job.status}`, { data: { job: cancellation.job } })
+      }
+      return res.status(200).json(cancellation.job)
+    }
+    
+    const job = await getJob(id)
+    if (!job) {
+      throw new ApiError('NOT_FOUND', 'Job not found')
+    }
+    return res.status(200).json(job)
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to process job request')
+  }
+}
@@ -0,0 +1,79 @@
+/* eslint-env node */
+import { readJsonBody, MAX_RESPONSE_SIZE_LIMIT } from './_lib/options.js'
+import { loadRecipes, getRecipe, parseRecipe } from './_lib/recipes.js'
+import { extractFields } from './_lib/extract.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+/**
+ * Main serverless function handler for extraction recipes. GET lists the
+ * saved recipes; POST runs a saved or draft recipe against supplied HTML so
+ * recipes can be tested without refetching the page.
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    if (req.method === 'GET') {
+      const recipes = await loadRecipes({ reload: req.query.reload === 'true' })
+      return res.status(200).json({
+        recipes: [...recipes.values()].map(({ name, description, definition }) => ({ name, description, definition }))
+      })
+    }
+    
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      throw requestError(json)
+    }
+    
+    const { html, recipe, pageUrl } = json.body || {}
+    if (typeof html !== 'string' || html.length === 0) {
+      throw new ApiError('INVALID_REQUEST', '`html` must be a non-empty string')
+    }
+    if (html.length > MAX_RESPONSE_SIZE_LIMIT) {
+      throw new ApiError('TOO_LARGE', `HTML too large (max ${MAX_RESPONSE_SIZE_LIMIT} characters)`)
+    }
+    if (pageUrl !== undefined && (typeof pageUrl !== 'string' || !URL.canParse(pageUrl))) {
+      throw new ApiError('INVALID_REQUEST', '`pageUrl` must be an absolute URL')
+    }
+    
+    // `recipe` is either the name of a saved recipe or a draft definition
+    let fields
+    if (typeof recipe === 'string') {
+      const saved = await getRecipe(recipe)
+      if (!saved) {
+        throw new ApiError('INVALID_REQUEST', `Unknown recipe: ${recipe}`)
+      }
+      fields = saved.fields
+    } else {
+      const parsed = parseRecipe(recipe)
+      if (!parsed.valid) {
+        throw requestError(parsed)
+      }
+      fields = parsed.recipe.fields
+    }
+    
+    return res.status(200).json({
+      data: extractFields(html, fields, { pageUrl }),
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to run recipe')
+  }
+}
@@ -0,0 +1,111 @@
+/* eslint-env node */
+import { validateUrl } from './_lib/ssrf.js'
+import { STATIC_LIMITS } from './_lib/fetch.js'
+import { readJsonBody, parseScrapeOptions, readScrapeRequest } from './_lib/options.js'
+import { collectSitemaps, SITEMAP_LIMITS } from './_lib/sitemap.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+// Scrape options that make no sense for sitemap files
+const UNSUPPORTED_KEYS = ['recipe', 'format', 'include', 'checkLinks', 'maxSize']
+
+/**
+ * Validates a sitemap cap and clamps it to [1, max]
+ */
+function parseCap(name, value, fallback, max) {
+  if (value === undefined || value === '') return { value: fallback }
+  const number = Number(value)
+  if (!Number.isInteger(number) || number < 1) {
+    return { error: `\`${name}\` must be a positive integer` }
+  }
+  return { value: Math.min(number, max) }
+}
+
+/**
+ * Reads the site URL, caps and fetch options from a GET query string or a
+ * POST JSON body
+ */
+function readSitemapRequest(req) {
+  let source
+  let request
+  if (req.method === 'POST') {
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      return { valid: false, error: json.error }
+    }
+    const { maxFiles, maxUrls, ...scrapeBody } = json.body || {}
+    const unsupported = UNSUPPORTED_KEYS.filter(key => key in scrapeBody)
+    if (unsupported.length > 0) {
+      return { valid: false, error: `Option(s) not supported for sitemaps: ${unsupported.join(', ')}` }
+    }
+    source = { maxFiles, maxUrls }
+    request = parseScrapeOptions(scrapeBody, STATIC_LIMITS)
+  } else {
+    source = req.query
+    request = readScrapeRequest(req, STATIC_LIMITS)
+  }
+  if (!request.valid) {
+    return request
+  }
+
+  const maxFiles = parseCap('maxFiles', source.maxFiles, SITEMAP_LIMITS.defaultMaxFiles, SITEMAP_LIMITS.maxFiles)
+  if (maxFiles.error) return { valid: false, error: maxFiles.error }
+  const maxUrls = parseCap('maxUrls', source.maxUrls, SITEMAP_LIMITS.defaultMaxUrls, SITEMAP_LIMITS.maxUrls)
+  if (maxUrls.error) return { valid: false, error: maxUrls.error }
+
+  return { valid: true, url: request.url, options: request.options, maxFiles: maxFiles.value, maxUrls: maxUrls.value }
+}
+
+/**
+ * Main serverless function handler for sitemap discovery
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    const request = readSitemapRequest(req)
+    if (!request.valid) {
+      throw requestError(request)
+    }
+    
+    // Validate URL
+    const validation = await validateUrl(request.url)
+    if (!validation.valid) {
+      throw requestError(validation)
+    }
+    
+    // Discover and read the sitemaps; failures are reported per file
+    const { sitemaps, urls, summary } = await collectSitemaps(validation.url.href, {
+      ...request.options,
+      maxFiles: request.maxFiles,
+      maxUrls: request.maxUrls
+    })
+    
+    // Return successful response
+    return res.status(200).json({
+      url: validation.url.href,
+      sitemaps,
+      urls,
+      summary,
+      timestamp: new Date().toISOString()
+    })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to read sitemaps')
+  }
+}
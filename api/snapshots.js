@@ -0,0 +1,80 @@
+/* eslint-env node */
+import { validateUrl } from './_lib/ssrf.js'
+import { STATIC_LIMITS } from './_lib/fetch.js'
+import { readJsonBody, parseScrapeOptions } from './_lib/options.js'
+import { takeSnapshot, listSnapshots, getSnapshot, summarizeSnapshot } from './_lib/monitor.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+
+// Scrape options that make no sense for snapshots, which always store the raw page
+const UNSUPPORTED_KEYS = ['recipe', 'format', 'include', 'checkLinks', 'cache', 'cacheTtl']
+
+/**
+ * Main serverless function handler for page snapshots. `POST` takes a
+ * snapshot; `GET ?url=` lists a URL's snapshots and `GET ?id=` returns one.
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  // API key and rate limit checks come before any work
+  const denied = await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  // Only allow GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(req, res, new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed'))
+  }
+  
+  try {
+    if (req.method === 'GET') {
+      const { id, url } = req.query
+      if (id) {
+        const snapshot = await getSnapshot(id)
+        if (!snapshot) {
+          throw new ApiError('NOT_FOUND', 'Snapshot not found')
+        }
+        return res.status(200).json(snapshot)
+      }
+      
+      if (!url) {
+        throw new ApiError('INVALID_REQUEST', 'Either `url` or `id` is required')
+      }
+      return res.status(200).json({ url, snapshots: await listSnapshots(url) })
+    }
+    
+    const json = readJsonBody(req)
+    if (!json.valid) {
+      throw requestError(json)
+    }
+    
+    const unsupported = UNSUPPORTED_KEYS.filter(key => key in (json.body || {}))
+    if (unsupported.length > 0) {
+      throw new ApiError('INVALID_REQUEST', `Option(s) not supported for snapshots: ${unsupported.join(', ')}`)
+    }
+    
+    const request = parseScrapeOptions(json.body, STATIC_LIMITS)
+    if (!request.valid) {
+      throw requestError(request)
+    }
+    
+    // Validate URL
+    const validation = await validateUrl(request.url)
+    if (!validation.valid) {
+      throw requestError(validation)
+    }
+    
+    // Fetch the live page and store it
+    const snapshot = await takeSnapshot(validation.url.href, request.options)
+    
+    return res.status(201).json(summarizeSnapshot(snapshot))
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to take snapshot')
+  }
+}
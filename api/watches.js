@@ -0,0 +1,120 @@
+/* eslint-env node */
+import crypto from 'crypto'
+import { readJsonBody } from './_lib/options.js'
+import { parseWatch, createWatch, listWatches, getWatch, deleteWatch, checkWatch, checkDueWatches, listSnapshots } from './_lib/monitor.js'
+import { setCorsHeaders, checkAccess } from './_lib/access.js'
+import { ApiError, requestError, sendError } from './_lib/errors.js'
+import { isMemoryStore } from './_lib/store.js'
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest()
+
+/**
+ * Checks a request's bearer token against CRON_SECRET. Both are hashed so
+ * the comparison takes the same time whatever the token's length or content.
+ */
+function isCronRequest(req) {
+  const authorization = req.headers.authorization
+  if (typeof authorization !== 'string') return false
+  return crypto.timingSafeEqual(hash(authorization), hash(`Bearer ${process.env.CRON_SECRET}`))
+}
+
+/**
+ * Main serverless function handler for watched pages. `GET` lists watches
+ * and `POST` creates one; `GET` and `DELETE /api/watches/:id` return and
+ * remove one; `POST /api/watches/:id/check` checks it now; and
+ * `/api/watches/check-due` (the scheduled job) checks every watch that is
+ * due. Paths are rewritten to `?id=`, `&check=true` and `?checkDue=true`.
+ */
+export default async function handler(req, res) {
+  setCorsHeaders(req, res, 'GET, POST, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.status(200).end();
+    return;
+  }
+  
+  const { id, check, checkDue } = req.query
+  
+  // API key and rate limit checks come before any work; scheduled checks authenticate with CRON_SECRET instead
+  const denied = checkDue === 'true' ? null : await checkAccess(req, res)
+  if (denied) {
+    return sendError(req, res, denied)
+  }
+  
+  try {
+    // Scheduled checks; Vercel Cron sends CRON_SECRET as a bearer token
+    if (checkDue === 'true') {
+      if (req.method !== 'GET' && req.method !== 'POST') {
+        throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed')
+      }
+      if (!process.env.CRON_SECRET) {
+        throw new ApiError('INVALID_REQUEST', 'Scheduled checks are disabled: CRON_SECRET is not configured on the server')
+      }
+      if (!isCronRequest(req)) {
+        throw new ApiError('UNAUTHORIZED', 'Unauthorized')
+      }
+      // Each Vercel invocation may land on a fresh instance, whose in-memory store has no watches to check
+      if (process.env.VERCEL === '1' && isMemoryStore('watches')) {
+        throw new ApiError('INVALID_REQUEST', 'Scheduled checks are disabled: watches are kept in memory, which is not shared between Vercel instances. Configure a shared store with setStore.')
+      }
+      const summary = await checkDueWatches()
+      return res.status(200).json({ ...summary, timestamp: new Date().toISOString() })
+    }
+    
+    if (!id) {
+      if (req.method === 'GET') {
+        return res.status(200).json({ watches: await listWatches() })
+      }
+      if (req.method !== 'POST') {
+        throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed')
+      }
+      
+      const json = readJsonBody(req)
+      if (!json.valid) {
+        throw requestError(json)
+      }
+      
+      const request = parseWatch(json.body)
+      if (!request.valid) {
+        throw requestError(request)
+      }
+      
+      // Create the watch and take its baseline snapshot
+      const created = await createWatch(request)
+      if (!created.valid) {
+        throw requestError(created)
+      }
+      return res.status(201).json(created.watch)
+    }
+    
+    if (check === 'true') {
+      if (req.method !== 'POST') {
+        throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed')
+      }
+      const result = await checkWatch(id)
+      if (!result) {
+        throw new ApiError('NOT_FOUND', 'Watch not found')
+      }
+      return res.status(200).json(result)
+    }
+    
+    if (req.method === 'DELETE') {
+      if (!(await deleteWatch(id))) {
+        throw new ApiError('NOT_FOUND', 'Watch not found')
+      }
+      return res.status(200).json({ id, deleted: true })
+    }
+    
+    if (req.method !== 'GET') {
+      throw new ApiError('METHOD_NOT_ALLOWED', 'Method not allowed')
+    }
+    
+    const watch = await getWatch(id)
+    if (!watch) {
+      throw new ApiError('NOT_FOUND', 'Watch not found')
+    }
+    return res.status(200).json({ ...watch, snapshots: await listSnapshots(watch.url) })
+    
+  } catch (error) {
+    return sendError(req, res, error, 'Failed to process watch request')
+  }
+}
@@ -1,300 +1,124 @@
 /* eslint-env node */
+import path from 'path'
 import express from 'express'
-import cors from 'cors'
-import { URL } from 'url'
+import scrapeHandler from './api/scrape.js'
+import scrapeDynamicHandler from './api/scrape-dynamic.js'
+import extractHandler from './api/extract.js'
+import recipesHandler from './api/recipes.js'
+import crawlHandler from './api/crawl.js'
+import sitemapHandler from './api/sitemap.js'
+import batchHandler from './api/batch.js'
+import jobsHandler from './api/jobs.js'
+import snapshotsHandler from './api/snapshots.js'
+import diffHandler from './api/diff.js'
+import watchesHandler from './api/watches.js'
+import { loadRecipes } from './api/_lib/recipes.js'
+import { setCache, createFileCache } from './api/_lib/cache.js'
+import { setStore, createFileStore } from './api/_lib/store.js'
+import { checkDueWatches } from './api/_lib/monitor.js'
+import { getBrowserPool, closeBrowserPool } from './api/_lib/browser-pool.js'
+import { ApiError, sendError } from './api/_lib/errors.js'
+import { setCorsHeaders } from './api/_lib/access.js'
 
 const app = express()
 const PORT = 3001
+const WATCH_CHECK_INTERVAL_MS = 60 * 1000 // 1 minute
 
-// Constants
-const MAX_RESPONSE_SIZE = 1024 * 1024 // 1MB
-const TIMEOUT_MS = 5000 // 5 seconds
+// Keep fetched pages in a disk cache so they survive restarts (CACHE_DIR overrides the location)
+setCache(createFileCache(process.env.CACHE_DIR || '.cache/http'))
 
-// Private IP ranges to block (SSRF protection)
-const PRIVATE_IP_RANGES = [
-  /^10\./,
-  /^172\.(1[6-9]|2[0-9]|3[0-1])\./,
-  /^192\.168\./,
-  /^127\./,
-  /^169\.254\./,
-  /^fc00:/,
-  /^fe80:/,
-  /^::1$/,
-  /^localhost$/i
-]
+// Keep snapshots and watched pages on disk too (MONITOR_STORE_DIR overrides the location)
+const MONITOR_STORE_DIR = process.env.MONITOR_STORE_DIR || '.data'
+setStore('snapshots', createFileStore(path.join(MONITOR_STORE_DIR, 'snapshots')))
+setStore('watches', createFileStore(path.join(MONITOR_STORE_DIR, 'watches')))
 
-// User agent to use for requests
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+// CORS headers for responses that never reach a handler (unknown routes, body parser errors); handlers set their own
+app.use('/api', (req, res, next) => {
+  setCorsHeaders(req, res, 'GET, POST, DELETE, OPTIONS')
+  next()
+})
 
-// Enable CORS
-app.use(cors())
+// Parse JSON bodies for POST requests, like Vercel does (recipe tests post whole pages)
+app.use(express.json({ limit: '6mb' }))
 
-/**
- * Validates if a URL is safe to scrape
- */
-function validateUrl(urlString) {
-  try {
-    const url = new URL(urlString)
-    
-    // Only allow HTTP and HTTPS
-    if (!['http:', 'https:'].includes(url.protocol)) {
-      return { valid: false, error: 'Only HTTP and HTTPS URLs are allowed' }
-    }
-    
-    // Check for private IP ranges
-    const hostname = url.hostname.toLowerCase()
-    if (PRIVATE_IP_RANGES.some(range => range.test(hostname))) {
-      return { valid: false, error: 'Private IP addresses are not allowed' }
-    }
-    
-    // Block some common problematic hostnames
-    const blockedHosts = ['localhost', '0.0.0.0', '127.0.0.1']
-    if (blockedHosts.includes(hostname)) {
-      return { valid: false, error: 'This hostname is not allowed' }
-    }
-    
-    return { valid: true, url }
-  } catch (error) {
-    return { valid: false, error: 'Invalid URL format' }
-  }
-}
+// Dynamic scraping endpoint (same handler as the Vercel function, rendering with the shared browser pool)
+app.all('/api/scrape-dynamic', scrapeDynamicHandler)
 
-/**
- * Detects if content appears to be JavaScript-rendered
- */
-function detectJsRenderedContent(html) {
-  // Check for common JS frameworks and empty containers
-  const jsFrameworkIndicators = [
-    'id="__docusaurus"',
-    'id="__next"',
-    'id="__nuxt"',
-    'id="app"',
-    'id="root"',
-    'data-reactroot',
-    'ng-version'
-  ]
-  
-  // Check for minimal body content
-  const bodyMatch = html.match(/<body[^>]*>([\s\S]*?)<\/body>/i)
-  if (bodyMatch) {
-    const bodyContent = bodyMatch[1]
-    // Remove scripts and styles from body content
-    const cleanBodyContent = bodyContent
-      .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
-      .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
-      .replace(/<link[^>]*>/gi, '')
-      .replace(/\s+/g, ' ')
-      .trim()
-    
-    // If body content is very small, likely JS-rendered
-    if (cleanBodyContent.length < 100) {
-      return true
-    }
-  }
-  
-  // Check for JS framework indicators
-  return jsFrameworkIndicators.some(indicator => html.includes(indicator))
-}
+// Static scraping endpoint (same handler as the Vercel function)
+app.all('/api/scrape', scrapeHandler)
 
-/**
- * Fetches HTML content from a URL with size and timeout limits
- */
-async function fetchWithLimits(url) {
-  const controller = new AbortController()
-  const timeoutId = setTimeout(() => controller.abort(), TIMEOUT_MS)
-  
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': USER_AGENT,
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Accept-Encoding': 'gzip, deflate',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      },
-      redirect: 'follow',
-      method: 'GET'
-    })
-    
-    clearTimeout(timeoutId)
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-    }
-    
-    // Check content type
-    const contentType = response.headers.get('content-type') || ''
-    if (!contentType.includes('text/html') && !contentType.includes('application/xhtml')) {
-      throw new Error('URL does not return HTML content')
-    }
-    
-    // Check content length
-    const contentLength = response.headers.get('content-length')
-    if (contentLength && parseInt(contentLength) > MAX_RESPONSE_SIZE) {
-      throw new Error(`Response too large (${contentLength} bytes, max ${MAX_RESPONSE_SIZE} bytes)`)
-    }
-    
-    // Read response with size limit
-    const reader = response.body.getReader()
-    const chunks = []
-    let totalLength = 0
-    
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const { done, value } = await reader.read()
-      if (done) break
-      
-      totalLength += value.length
-      if (totalLength > MAX_RESPONSE_SIZE) {
-        throw new Error(`Response too large (max ${MAX_RESPONSE_SIZE} bytes)`)
-      }
-      
-      chunks.push(value)
-    }
-    
-    // Convert to text
-    const uint8Array = new Uint8Array(totalLength)
-    let offset = 0
-    for (const chunk of chunks) {
-      uint8Array.set(chunk, offset)
-      offset += chunk.length
-    }
-    
-    const html = new TextDecoder().decode(uint8Array)
-    return html
-    
-  } catch (error) {
-    clearTimeout(timeoutId)
-    
-    if (error.name === 'AbortError') {
-      throw new Error('Request timed out')
-    }
-    
-    throw error
-  }
-}
+// Selector extraction endpoint (same handler as the Vercel function)
+app.all('/api/extract', extractHandler)
 
-// Dynamic scraping endpoint (simplified for development)
-app.get('/api/scrape-dynamic', async (req, res) => {
-  try {
-    const { url } = req.query
-    
-    if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' })
-    }
-    
-    // Validate URL
-    const validation = validateUrl(url)
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error })
-    }
-    
-    // For development, we'll just return the static content with a note
-    // In production, this would use Puppeteer
-    const html = await fetchWithLimits(validation.url.href)
-    
-    // Return response with dynamic mode indication
-    return res.status(200).json({
-      html,
-      url: validation.url.href,
-      size: html.length,
-      timestamp: new Date().toISOString(),
-      isDynamic: true,
-      method: 'development-fallback',
-      warning: 'Dynamic mode is not available in development. Deploy to production for full Puppeteer support.'
-    })
-    
-  } catch (error) {
-    console.error('Dynamic scraping error:', error)
-    
-    // Handle specific error types
-    if (error.message.includes('timeout')) {
-      return res.status(504).json({ error: 'Request timed out' })
-    }
-    
-    if (error.message.includes('too large')) {
-      return res.status(413).json({ error: error.message })
-    }
-    
-    if (error.message.includes('HTTP')) {
-      return res.status(502).json({ error: error.message })
-    }
-    
-    if (error.message.includes('not return HTML')) {
-      return res.status(400).json({ error: error.message })
-    }
-    
-    // Generic error response
-    return res.status(500).json({ 
-      error: 'Failed to scrape URL with dynamic rendering',
-      details: error.message 
-    })
-  }
+// Extraction recipes (same handler as the Vercel function)
+app.all('/api/recipes', recipesHandler)
+
+// Same-site crawls (same handler as the Vercel function)
+app.all('/api/crawl', crawlHandler)
+
+// Sitemap discovery (same handler as the Vercel function)
+app.all('/api/sitemap', sitemapHandler)
+
+// Batch scraping (same handler as the Vercel function)
+app.all('/api/batch', batchHandler)
+
+// Asynchronous jobs (served by the dev server only; the function is left out of Vercel deploys by .vercelignore)
+app.all('/api/jobs', jobsHandler)
+app.all('/api/jobs/:id', (req, res) => {
+  req.query.id = req.params.id
+  return jobsHandler(req, res)
 })
 
-// Static scraping endpoint
-app.get('/api/scrape', async (req, res) => {
-  try {
-    const { url } = req.query
-    
-    if (!url) {
-      return res.status(400).json({ error: 'URL parameter is required' })
-    }
-    
-    // Validate URL
-    const validation = validateUrl(url)
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error })
-    }
-    
-    // Fetch HTML content
-    const html = await fetchWithLimits(validation.url.href)
-    
-    // Check if content appears to be JavaScript-rendered
-    const isJsRendered = detectJsRenderedContent(html)
-    
-    // Return successful response
-    return res.status(200).json({
-      html,
-      url: validation.url.href,
-      size: html.length,
-      timestamp: new Date().toISOString(),
-      isJsRendered,
-      warning: isJsRendered ? 'This page appears to use JavaScript rendering. Content may be incomplete.' : null
-    })
-    
-  } catch (error) {
-    console.error('Scraping error:', error)
-    
-    // Handle specific error types
-    if (error.message.includes('timeout')) {
-      return res.status(504).json({ error: 'Request timed out' })
-    }
-    
-    if (error.message.includes('too large')) {
-      return res.status(413).json({ error: error.message })
-    }
-    
-    if (error.message.includes('HTTP')) {
-      return res.status(502).json({ error: error.message })
-    }
-    
-    if (error.message.includes('not return HTML')) {
-      return res.status(400).json({ error: error.message })
-    }
-    
-    // Generic error response
-    return res.status(500).json({ 
-      error: 'Failed to scrape URL',
-      details: error.message 
-    })
+// Page snapshots and diffs (same handlers as the Vercel functions)
+app.all('/api/snapshots', snapshotsHandler)
+app.all('/api/diff', diffHandler)
+
+// Watched pages (same handler as the Vercel function, which gets these paths from rewrites)
+app.all('/api/watches', watchesHandler)
+app.all('/api/watches/check-due', (req, res) => {
+  req.query.checkDue = 'true'
+  return watchesHandler(req, res)
+})
+app.all('/api/watches/:id/check', (req, res) => {
+  req.query.id = req.params.id
+  req.query.check = 'true'
+  return watchesHandler(req, res)
+})
+app.all('/api/watches/:id', (req, res) => {
+  req.query.id = req.params.id
+  return watchesHandler(req, res)
+})
+
+// Unknown API routes get the same error envelope as the functions
+app.all('/api/*', (req, res) => sendError(req, res, new ApiError('NOT_FOUND', `No API route for ${req.path}`)))
+
+// Body parser failures too: malformed JSON and oversized bodies
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendError(req, res, new ApiError('INVALID_REQUEST', 'Request body must be valid JSON'))
   }
+  if (err.type === 'entity.too.large') {
+    return sendError(req, res, new ApiError('TOO_LARGE', 'Request body too large'))
+  }
+  next(err)
 })
 
-app.listen(PORT, '127.0.0.1', () => {
+const server = app.listen(PORT, '127.0.0.1', async () => {
   console.log(`Development API server running on http://localhost:${PORT}`)
+  const recipes = await loadRecipes()
+  console.log(`Loaded ${recipes.size} extraction recipe(s) from ./recipes`)
+
+  // Stand-in for the Vercel cron job: check due watches every minute
+  setInterval(() => {
+    checkDueWatches().catch(error => console.error('Watch check error:', error))
+  }, WATCH_CHECK_INTERVAL_MS)
+
+  // Dynamic renders share one browser pool; BROWSER_POOL_WARM=1 starts Chrome up front
+  if (process.env.BROWSER_POOL_WARM === '1') {
+    getBrowserPool().warm()
+      .then(() => console.log('Browser pool ready'))
+      .catch(error => console.error('Browser pool failed to start:', error.message))
+  }
 }).on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
     console.error(`Port ${PORT} is already in use. Please stop other processes using this port.`)
@@ -303,4 +127,14 @@ app.listen(PORT, '127.0.0.1', () => {
     console.error('Server error:', err)
     process.exit(1)
   }
-}) 
\ No newline at end of file
+}) 
+
+// Finish open renders and close Chrome before exiting, so no browser processes are left behind
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down`)
+  server.close()
+  await closeBrowserPool()
+  process.exit(0)
+}
+process.once('SIGINT', shutdown)
+process.once('SIGTERM', shutdown)
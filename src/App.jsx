@@ -1,6 +1,64 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { Download, Copy, Trash2, ExternalLink, Loader2, AlertCircle, AlertTriangle } from 'lucide-react'
 
+const API_BASE_URL = 'https://brainrotscraper-20250706-axav5kyix-zons-projects-d23f0aa6.vercel.app'
+
+// Every scrape asks for all output formats so the tabs can switch instantly
+const OUTPUT_FORMATS = 'html,markdown,text,readable-html'
+
+const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+
+// Batch lists are sent to /api/batch in chunks so progress can be shown between them
+const BATCH_CHUNK_SIZE = 20
+
+// Reads URLs from pasted text or an uploaded .txt/.csv file (one per line or comma-separated)
+const parseUrlList = (text) => [...new Set(
+  text.split(/[\r\n,;\t]+/)
+    .map(value => value.trim().replace(/^["']|["']$/g, ''))
+    .filter(value => /^https?:\/\//i.test(value))
+)]
+
+// Friendlier wording for the API's error codes; other codes show the API's own message
+const ERROR_MESSAGES = {
+  BLOCKED_ADDRESS: 'That address is private or local and cannot be scraped.',
+  HOST_NOT_FOUND: 'That domain could not be found. Check the URL for typos.',
+  ROBOTS_DISALLOWED: (data) => `${data.error}. Turn off "Respect robots.txt" to scrape it anyway.`,
+  RATE_LIMITED: (data) => `Too many requests: the next one is allowed in ${data.retryAfter} seconds.`,
+  UPSTREAM_STATUS: (data) => `The site answered with HTTP ${data.upstreamStatus}.`,
+  UPSTREAM_UNREACHABLE: 'The site could not be reached.',
+  TIMEOUT: 'The page took too long to load.',
+  BROWSER_UNAVAILABLE: 'The headless browser is not available on this server. Try Static mode.',
+  BROWSER_BUSY: 'The headless browser is busy.',
+  NOT_IN_CACHE: 'That page is not in the cache yet.'
+}
+
+// Builds an Error from an API error response, noting when a retry may help
+const apiError = (data, fallback) => {
+  const friendly = ERROR_MESSAGES[data.code]
+  let message = typeof friendly === 'function' ? friendly(data) : friendly || data.error || fallback
+  if (data.retryable) message += ' Please try again in a moment.'
+  if (data.code === 'INTERNAL' && data.requestId) message += ` (request ID ${data.requestId})`
+  return new Error(message)
+}
+
+const EMPTY_RECIPE = JSON.stringify({
+  name: 'my-recipe',
+  description: '',
+  fields: {
+    title: { selector: 'h1', transforms: ['trim'] }
+  }
+}, null, 2)
+
 function App() {
   const [url, setUrl] = useState('')
   const [html, setHtml] = useState('')
@@ -8,9 +66,99 @@ function App() {
   const [error, setError] = useState('')
   const [warning, setWarning] = useState('')
   const [isJsRendered, setIsJsRendered] = useState(false)
-  const [dynamicMode, setDynamicMode] = useState(false)
+  // 'static', 'auto' (static, rendered when it looks JavaScript-driven) or 'dynamic'
+  const [scrapeMode, setScrapeMode] = useState('auto')
+  const [loadMethod, setLoadMethod] = useState(null)
+  const [respectRobots, setRespectRobots] = useState(true)
+  const [useCache, setUseCache] = useState(true)
   const [activeTab, setActiveTab] = useState('html')
   const [contentAnalysis, setContentAnalysis] = useState(null)
+  const [responseInfo, setResponseInfo] = useState(null)
+  const [pageUrl, setPageUrl] = useState('')
+  const [readable, setReadable] = useState(null)
+  const [recipes, setRecipes] = useState([])
+  const [recipeText, setRecipeText] = useState(EMPTY_RECIPE)
+  const [recipeResult, setRecipeResult] = useState(null)
+  const [recipeError, setRecipeError] = useState('')
+  const [links, setLinks] = useState(null)
+  const [network, setNetwork] = useState(null)
+  const [selectedJson, setSelectedJson] = useState(null)
+  const [checkingLinks, setCheckingLinks] = useState(false)
+  const [linkError, setLinkError] = useState('')
+  const [crawlSettings, setCrawlSettings] = useState({ maxDepth: 2, maxPages: 10, includePatterns: '', excludePatterns: '' })
+  const [crawlPages, setCrawlPages] = useState([])
+  const [crawlSummary, setCrawlSummary] = useState(null)
+  const [crawling, setCrawling] = useState(false)
+  const [crawlError, setCrawlError] = useState('')
+  const [batchText, setBatchText] = useState('')
+  const [batchResults, setBatchResults] = useState([])
+  const [batchTotal, setBatchTotal] = useState(0)
+  const [batching, setBatching] = useState(false)
+  const [batchError, setBatchError] = useState('')
+  const [watchSettings, setWatchSettings] = useState({ selector: '', ignore: '', intervalMinutes: 60 })
+  const [watches, setWatches] = useState([])
+  const [watchBusy, setWatchBusy] = useState('')
+  const [watchError, setWatchError] = useState('')
+  const [selectedWatch, setSelectedWatch] = useState(null)
+  const [diffRange, setDiffRange] = useState({ from: '', to: '' })
+  const [snapshotDiff, setSnapshotDiff] = useState(null)
+
+  // Load the watched pages once
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/api/watches`)
+      .then(response => response.json())
+      .then(data => setWatches(data.watches || []))
+      .catch(err => console.error('Failed to load watches:', err))
+  }, [])
+
+  // Load saved recipes the first time the Extraction tab is opened
+  useEffect(() => {
+    if (activeTab !== 'extraction' || recipes.length > 0) return
+    fetch(`${API_BASE_URL}/api/recipes`)
+      .then(response => response.json())
+      .then(data => setRecipes(data.recipes || []))
+      .catch(err => console.error('Failed to load recipes:', err))
+  }, [activeTab, recipes.length])
+
+  // Re-run the draft recipe against the scraped HTML shortly after each edit
+  useEffect(() => {
+    if (activeTab !== 'extraction' || !html) return
+    
+    let recipe
+    try {
+      recipe = JSON.parse(recipeText)
+    } catch (err) {
+      setRecipeError(`Invalid JSON: ${err.message}`)
+      return
+    }
+    
+    const controller = new AbortController()
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await fetch(`${API_BASE_URL}/api/recipes`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ html, recipe, pageUrl: pageUrl || undefined }),
+          signal: controller.signal
+        })
+        const data = await response.json()
+        if (!response.ok) {
+          throw apiError(data, 'Failed to run recipe')
+        }
+        setRecipeResult(data.data)
+        setRecipeError('')
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          setRecipeError(err.message)
+        }
+      }
+    }, 600)
+    
+    return () => {
+      clearTimeout(timeoutId)
+      controller.abort()
+    }
+  }, [activeTab, html, recipeText, pageUrl])
 
   const validateUrl = (urlString) => {
     try {
@@ -21,22 +169,24 @@ function App() {
     }
   }
 
-  const analyzeContent = (html) => {
+  const analyzeContent = (html, metadata, links) => {
     const titleMatch = html.match(/<title[^>]*>([^<]*)<\/title>/i)
     const descMatch = html.match(/<meta[^>]*name="description"[^>]*content="([^"]*)"[^>]*>/i)
     const h1Matches = html.match(/<h1[^>]*>([^<]*)<\/h1>/gi) || []
     const linkMatches = html.match(/<a[^>]*href="[^"]*"[^>]*>/gi) || []
     const imgMatches = html.match(/<img[^>]*>/gi) || []
     
+    // Prefer the server-side metadata extractor when it ran
     return {
-      title: titleMatch ? titleMatch[1] : '未找到標題',
-      description: descMatch ? descMatch[1] : '未找到描述',
+      title: metadata?.title || (titleMatch ? titleMatch[1] : '未找到標題'),
+      description: metadata?.description || (descMatch ? descMatch[1] : '未找到描述'),
       headings: h1Matches.length,
-      links: linkMatches.length,
+      links: links ? links.summary.total : linkMatches.length,
       images: imgMatches.length,
       size: html.length,
       hasJs: html.includes('<script'),
-      framework: detectFramework(html)
+      framework: detectFramework(html),
+      metadata: metadata || null
     }
   }
   
@@ -50,6 +200,104 @@ function App() {
     return '未知'
   }
 
+  // Shows a snapshot diff, collapsing long runs of unchanged lines
+  const renderDiffHunks = (hunks) => hunks.map((hunk, index) => {
+    if (hunk.type === 'equal') {
+      const lines = hunk.lines.length > 6
+        ? [...hunk.lines.slice(0, 3), `… ${hunk.lines.length - 6} unchanged lines …`, ...hunk.lines.slice(-3)]
+        : hunk.lines
+      return lines.map((line, lineIndex) => (
+        <p key={`${index}-${lineIndex}`} className="px-2 text-gray-600 dark:text-gray-400">&nbsp; {line}</p>
+      ))
+    }
+    const added = hunk.type === 'added'
+    return hunk.lines.map((line, lineIndex) => (
+      <p
+        key={`${index}-${lineIndex}`}
+        className={`px-2 ${added ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' : 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'}`}
+      >
+        {added ? '+' : '-'} {line}
+      </p>
+    ))
+  })
+
+  const renderKeyValues = (values) => Object.entries(values).map(([key, value]) => (
+    <p key={key}>
+      <span className="font-medium">{key}:</span>{' '}
+      {typeof value === 'string' ? value : JSON.stringify(value)}
+    </p>
+  ))
+
+  const renderMetadataReport = (metadata) => {
+    const structuredItems = [
+      ...metadata.jsonLd.map(item => ({ source: 'JSON-LD', item })),
+      ...metadata.microdata.map(item => ({ source: 'Microdata', item })),
+      ...metadata.rdfa.map(item => ({ source: 'RDFa', item }))
+    ]
+
+    return (
+      <div className="space-y-4">
+        <div className="space-y-2">
+          <h4 className="font-medium text-gray-900 dark:text-white">Page Metadata</h4>
+          <div className="text-sm space-y-1 break-all">
+            <p><span className="font-medium">Canonical URL:</span> {metadata.canonicalUrl || '—'}</p>
+            <p><span className="font-medium">Language:</span> {metadata.language || '—'}</p>
+            {metadata.robots && <p><span className="font-medium">Robots:</span> {metadata.robots}</p>}
+            {metadata.favicons.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">Favicons:</span>
+                {metadata.favicons.map(icon => (
+                  <img key={icon.href} src={icon.href} alt={icon.rel} title={`${icon.rel}${icon.sizes ? ` (${icon.sizes})` : ''}`} className="w-6 h-6" />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+        {Object.keys(metadata.openGraph).length > 0 && (
+          <div className="space-y-2">
+            <h4 className="font-medium text-gray-900 dark:text-white">OpenGraph</h4>
+            <div className="text-sm space-y-1 break-all">{renderKeyValues(metadata.openGraph)}</div>
+          </div>
+        )}
+        {Object.keys(metadata.twitter).length > 0 && (
+          <div className="space-y-2">
+            <h4 className="font-medium text-gray-900 dark:text-white">Twitter Card</h4>
+            <div className="text-sm space-y-1 break-all">{renderKeyValues(metadata.twitter)}</div>
+          </div>
+        )}
+        {(metadata.alternates.hreflang.length > 0 || metadata.alternates.feeds.length > 0) && (
+          <div className="space-y-2">
+            <h4 className="font-medium text-gray-900 dark:text-white">Alternates</h4>
+            <div className="text-sm space-y-1 break-all">
+              {metadata.alternates.hreflang.map(alternate => (
+                <p key={`${alternate.hreflang}-${alternate.href}`}><span className="font-medium">{alternate.hreflang}:</span> {alternate.href}</p>
+              ))}
+              {metadata.alternates.feeds.map(feed => (
+                <p key={feed.href}><span className="font-medium">{feed.title || feed.type}:</span> {feed.href}</p>
+              ))}
+            </div>
+          </div>
+        )}
+        {structuredItems.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="font-medium text-gray-900 dark:text-white">Structured Data ({structuredItems.length})</h4>
+            <div className="text-sm space-y-1 break-all">
+              {structuredItems.map(({ source, item }, index) => (
+                <details key={index} className="border border-gray-200 dark:border-gray-700 rounded p-2">
+                  <summary className="cursor-pointer">
+                    <span className="font-medium">{source}</span>{' '}
+                    {item['@type'] || (item.type && item.type.join(', ')) || item.error || 'Item'}
+                  </summary>
+                  <pre className="mt-2 text-xs font-mono whitespace-pre-wrap">{JSON.stringify(item, null, 2)}</pre>
+                </details>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+
   const handleScrape = async () => {
     const trimmedUrl = url.trim()
     
@@ -69,23 +317,46 @@ function App() {
     setHtml('')
 
     try {
-      const apiEndpoint = dynamicMode
-        ? 'https://brainrotscraper-20250706-axav5kyix-zons-projects-d23f0aa6.vercel.app/api/scrape-dynamic'
-        : 'https://brainrotscraper-20250706-axav5kyix-zons-projects-d23f0aa6.vercel.app/api/scrape'
-      const response = await fetch(`${apiEndpoint}?url=${encodeURIComponent(trimmedUrl)}`)
+      const apiEndpoint = scrapeMode === 'dynamic'
+        ? `${API_BASE_URL}/api/scrape-dynamic`
+        : `${API_BASE_URL}/api/scrape`
+      // Dynamic renders also record their network traffic for the Network tab
+      const response = await fetch(`${apiEndpoint}?url=${encodeURIComponent(trimmedUrl)}&format=${OUTPUT_FORMATS}&include=metadata,links${respectRobots ? '' : '&respectRobots=false'}${useCache ? '' : '&cache=bypass'}${scrapeMode === 'dynamic' ? '&har=true&captureJson=true' : ''}${scrapeMode === 'auto' ? '&mode=auto&screenshot=false' : ''}`)
       const data = await response.json()
 
       if (!response.ok) {
-        throw new Error(data.error || 'Failed to scrape URL')
+        throw apiError(data, 'Failed to scrape URL')
       }
 
       setHtml(data.html)
+      setPageUrl(data.finalUrl || data.url || trimmedUrl)
+      setReadable(data.article ? {
+        markdown: data.markdown || '',
+        text: data.text || '',
+        readableHtml: data.readableHtml || '',
+        article: data.article
+      } : null)
       setIsJsRendered(data.isJsRendered || false)
       setWarning(data.warning || '')
+      setLoadMethod(data.mode === 'auto' ? { method: data.method, reason: data.detection?.reason || '' } : null)
+      setResponseInfo(data.status ? {
+        finalUrl: data.finalUrl,
+        status: data.status,
+        headers: data.headers || {},
+        redirects: data.redirects || [],
+        timing: data.timing || null,
+        encoding: data.encoding || null,
+        cached: data.cached ?? null,
+        age: data.age ?? null
+      } : null)
       
       // Analyze content
-      const analysis = analyzeContent(data.html)
+      const analysis = analyzeContent(data.html, data.metadata, data.links)
       setContentAnalysis(analysis)
+      setLinks(data.links || null)
+      setLinkError('')
+      setNetwork(data.har ? { entries: data.har.log.entries, har: data.har, jsonResponses: data.jsonResponses || [] } : null)
+      setSelectedJson(null)
     } catch (err) {
       setError(err.message || 'An error occurred while scraping the URL')
     } finally {
@@ -93,6 +364,227 @@ function App() {
     }
   }
 
+  // Re-scrapes the page with dead-link checking, which is too slow to run by default
+  const handleCheckLinks = async () => {
+    setCheckingLinks(true)
+    setLinkError('')
+
+    try {
+      const apiEndpoint = scrapeMode === 'dynamic'
+        ? `${API_BASE_URL}/api/scrape-dynamic`
+        : `${API_BASE_URL}/api/scrape`
+      const response = await fetch(`${apiEndpoint}?url=${encodeURIComponent(url.trim())}&include=links&checkLinks=true${respectRobots ? '' : '&respectRobots=false'}${scrapeMode === 'auto' ? '&mode=auto&screenshot=false' : ''}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw apiError(data, 'Failed to check links')
+      }
+
+      setLinks(data.links || null)
+    } catch (err) {
+      setLinkError(err.message || 'An error occurred while checking links')
+    } finally {
+      setCheckingLinks(false)
+    }
+  }
+
+  // Streams a crawl from the current URL, adding each page to the table as it completes
+  const handleCrawl = async () => {
+    const trimmedUrl = url.trim()
+    if (!validateUrl(trimmedUrl)) {
+      setCrawlError('Please enter a valid HTTP or HTTPS URL')
+      return
+    }
+
+    const patterns = (value) => value.split('\n').map(pattern => pattern.trim()).filter(Boolean)
+    setCrawling(true)
+    setCrawlError('')
+    setCrawlPages([])
+    setCrawlSummary(null)
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/crawl`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          url: trimmedUrl,
+          mode: scrapeMode,
+          maxDepth: Number(crawlSettings.maxDepth),
+          maxPages: Number(crawlSettings.maxPages),
+          includePatterns: patterns(crawlSettings.includePatterns),
+          excludePatterns: patterns(crawlSettings.excludePatterns),
+          format: 'html,markdown',
+          respectRobots,
+          stream: true
+        })
+      })
+
+      if (!response.ok) {
+        const data = await response.json()
+        throw apiError(data, 'Failed to crawl URL')
+      }
+
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      for (;;) {
+        const { done, value } = await reader.read()
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done })
+        const lines = buffer.split('\n')
+        buffer = lines.pop()
+        for (const line of lines.filter(Boolean)) {
+          const event = JSON.parse(line)
+          if (event.type === 'page') setCrawlPages(pages => [...pages, event.page])
+          if (event.type === 'summary') setCrawlSummary(event.summary)
+          if (event.type === 'error') throw new Error(event.details || event.error)
+        }
+        if (done) break
+      }
+    } catch (err) {
+      setCrawlError(err.message || 'An error occurred while crawling')
+    } finally {
+      setCrawling(false)
+    }
+  }
+
+  const handleDownloadCrawl = () => {
+    downloadFile(JSON.stringify({ summary: crawlSummary, pages: crawlPages }, null, 2), 'crawl.json', 'application/json')
+  }
+
+  const handleBatchFile = async (e) => {
+    const file = e.target.files[0]
+    if (file) setBatchText(await file.text())
+    e.target.value = ''
+  }
+
+  // Sends the URL list in chunks, appending each chunk's results as it returns
+  const handleBatch = async () => {
+    const urls = parseUrlList(batchText)
+    if (urls.length === 0) {
+      setBatchError('Please enter at least one HTTP or HTTPS URL')
+      return
+    }
+
+    setBatching(true)
+    setBatchError('')
+    setBatchResults([])
+    setBatchTotal(urls.length)
+
+    try {
+      for (let start = 0; start < urls.length; start += BATCH_CHUNK_SIZE) {
+        const response = await fetch(`${API_BASE_URL}/api/batch`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            urls: urls.slice(start, start + BATCH_CHUNK_SIZE),
+            mode: scrapeMode,
+            format: 'html,markdown',
+            respectRobots
+          })
+        })
+        const data = await response.json()
+
+        if (!response.ok) {
+          throw apiError(data, 'Failed to run batch')
+        }
+
+        setBatchResults(results => [...results, ...data.results])
+      }
+    } catch (err) {
+      setBatchError(err.message || 'An error occurred while running the batch')
+    } finally {
+      setBatching(false)
+    }
+  }
+
+  const handleDownloadBatch = () => {
+    downloadFile(JSON.stringify(batchResults, null, 2), 'batch-results.json', 'application/json')
+  }
+
+  // Calls a watch or diff endpoint, throwing the API's error message on failure
+  const callMonitorApi = async (path, options) => {
+    const response = await fetch(`${API_BASE_URL}${path}`, options)
+    const data = await response.json()
+    if (!response.ok) {
+      throw apiError(data, 'Request failed')
+    }
+    return data
+  }
+
+  const refreshWatches = async () => {
+    const data = await callMonitorApi('/api/watches')
+    setWatches(data.watches)
+  }
+
+  // Runs a monitor action, tracking which watch (or 'new') is busy
+  const runWatchAction = async (busy, action) => {
+    setWatchBusy(busy)
+    setWatchError('')
+    try {
+      await action()
+    } catch (err) {
+      setWatchError(err.message || 'An error occurred')
+    } finally {
+      setWatchBusy('')
+    }
+  }
+
+  const loadSnapshotDiff = async (watch, from, to) => {
+    setDiffRange({ from, to })
+    setSnapshotDiff(null)
+    if (!from || !to || from === to) return
+    const params = new URLSearchParams({ from, to })
+    if (watch.selector) params.set('selector', watch.selector)
+    if (watch.ignore.length > 0) params.set('ignore', watch.ignore.join(','))
+    setSnapshotDiff(await callMonitorApi(`/api/diff?${params}`))
+  }
+
+  // Opens a watch's version history, diffing its two latest snapshots
+  const openWatch = async (id) => {
+    const watch = await callMonitorApi(`/api/watches/${id}`)
+    setSelectedWatch(watch)
+    const [latest, previous] = watch.snapshots
+    await loadSnapshotDiff(watch, previous?.id || '', latest?.id || '')
+  }
+
+  const handleAddWatch = () => runWatchAction('new', async () => {
+    if (!validateUrl(url.trim())) {
+      throw new Error('Please enter a valid HTTP or HTTPS URL to watch')
+    }
+    const watch = await callMonitorApi('/api/watches', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url: url.trim(),
+        ...(watchSettings.selector.trim() && { selector: watchSettings.selector.trim() }),
+        ignore: watchSettings.ignore.split(',').map(selector => selector.trim()).filter(Boolean),
+        intervalMinutes: Number(watchSettings.intervalMinutes),
+        respectRobots
+      })
+    })
+    await refreshWatches()
+    await openWatch(watch.id)
+  })
+
+  const handleCheckWatch = (id) => runWatchAction(id, async () => {
+    await callMonitorApi(`/api/watches/${id}/check`, { method: 'POST' })
+    await refreshWatches()
+    if (selectedWatch?.id === id) await openWatch(id)
+  })
+
+  const handleRemoveWatch = (id) => runWatchAction(id, async () => {
+    await callMonitorApi(`/api/watches/${id}`, { method: 'DELETE' })
+    if (selectedWatch?.id === id) {
+      setSelectedWatch(null)
+      setSnapshotDiff(null)
+    }
+    await refreshWatches()
+  })
+
+  const handleDiffRange = (key, value) => runWatchAction(selectedWatch.id, () => (
+    loadSnapshotDiff(selectedWatch, key === 'from' ? value : diffRange.from, key === 'to' ? value : diffRange.to)
+  ))
+
   const handleCopy = async () => {
     try {
       await navigator.clipboard.writeText(html)
@@ -102,16 +594,27 @@ function App() {
     }
   }
 
+  // The Download button saves whichever format the active tab shows
+  const download = readable && activeTab === 'markdown'
+    ? { label: 'Download .md', content: readable.markdown, filename: 'scraped-page.md', type: 'text/markdown' }
+    : readable && activeTab === 'text'
+      ? { label: 'Download .txt', content: readable.text, filename: 'scraped-page.txt', type: 'text/plain' }
+      : readable && activeTab === 'readable'
+        ? { label: 'Download readable .html', content: readable.readableHtml, filename: 'scraped-page.readable.html', type: 'text/html' }
+        : { label: 'Download .html', content: html, filename: 'scraped-page.html', type: 'text/html' }
+
   const handleDownload = () => {
-    const blob = new Blob([html], { type: 'text/html' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'scraped-page.html'
-    document.body.appendChild(a)
-    a.click()
-    document.body.removeChild(a)
-    URL.revokeObjectURL(url)
+    downloadFile(download.content, download.filename, download.type)
+  }
+
+  const handleDownloadRecipe = () => {
+    let name = 'recipe'
+    try {
+      name = JSON.parse(recipeText).name || name
+    } catch {
+      // Download the draft as-is even if it is not valid JSON yet
+    }
+    downloadFile(recipeText, `${name}.json`, 'application/json')
   }
 
   const handleClear = () => {
@@ -119,7 +622,17 @@ function App() {
     setError('')
     setWarning('')
     setIsJsRendered(false)
+    setLoadMethod(null)
     setContentAnalysis(null)
+    setResponseInfo(null)
+    setPageUrl('')
+    setReadable(null)
+    setRecipeResult(null)
+    setRecipeError('')
+    setLinks(null)
+    setLinkError('')
+    setNetwork(null)
+    setSelectedJson(null)
     setActiveTab('html')
   }
 
@@ -172,7 +685,7 @@ function App() {
               {loading ? (
                 <>
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  {dynamicMode ? 'Rendering...' : 'Scraping...'}
+                  {scrapeMode === 'dynamic' ? 'Rendering...' : 'Scraping...'}
                 </>
               ) : (
                 'Scrape'
@@ -180,22 +693,47 @@ function App() {
             </button>
           </div>
           
-          {/* Dynamic Mode Toggle */}
+          {/* Scrape Mode */}
           <div className="mt-4 flex items-center gap-3">
+            <label className="flex items-center gap-2">
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Mode</span>
+              <select
+                value={scrapeMode}
+                onChange={(e) => setScrapeMode(e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
+              >
+                <option value="auto">Auto</option>
+                <option value="static">Static</option>
+                <option value="dynamic">Dynamic (JavaScript Rendering)</option>
+              </select>
+            </label>
+            <div className="text-xs text-gray-500 dark:text-gray-400">
+              {scrapeMode === 'dynamic' && '⚡ Slower but captures JS-rendered content'}
+              {scrapeMode === 'static' && '🚀 Fast static HTML only'}
+              {scrapeMode === 'auto' && '🔍 Static first, rendered when the page needs JavaScript'}
+            </div>
+            <label className="ml-auto flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={respectRobots}
+                onChange={(e) => setRespectRobots(e.target.checked)}
+                className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+              />
+              <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Respect robots.txt
+              </span>
+            </label>
             <label className="flex items-center gap-2 cursor-pointer">
               <input
                 type="checkbox"
-                checked={dynamicMode}
-                onChange={(e) => setDynamicMode(e.target.checked)}
+                checked={useCache}
+                onChange={(e) => setUseCache(e.target.checked)}
                 className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
               />
               <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                Dynamic Mode (JavaScript Rendering)
+                Use cache
               </span>
             </label>
-            <div className="text-xs text-gray-500 dark:text-gray-400">
-              {dynamicMode ? '⚡ Slower but captures JS-rendered content' : '🚀 Fast static HTML only'}
-            </div>
           </div>
 
           {error && (
@@ -206,6 +744,301 @@ function App() {
           )}
         </div>
 
+        {/* Site Crawl */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 mb-6 space-y-3 text-sm">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Site Crawl</h2>
+            <div className="flex gap-2">
+              {crawlPages.length > 0 && !crawling && (
+                <button
+                  onClick={handleDownloadCrawl}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+                >
+                  <Download className="w-4 h-4" />
+                  Download .json
+                </button>
+              )}
+              <button
+                onClick={handleCrawl}
+                disabled={crawling || loading}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+              >
+                {crawling && <Loader2 className="w-4 h-4 animate-spin" />}
+                {crawling ? 'Crawling...' : 'Crawl Site'}
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-2 gap-3 text-gray-700 dark:text-gray-300">
+            {[['maxDepth', 'Max depth', 0, 5], ['maxPages', 'Max pages', 1, 50]].map(([key, label, min, max]) => (
+              <label key={key} className="flex items-center gap-2">
+                <span className="font-medium">{label}</span>
+                <input
+                  type="number"
+                  min={min}
+                  max={max}
+                  value={crawlSettings[key]}
+                  onChange={(e) => setCrawlSettings(settings => ({ ...settings, [key]: e.target.value }))}
+                  className="w-20 px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </label>
+            ))}
+            {[['includePatterns', 'Include patterns'], ['excludePatterns', 'Exclude patterns']].map(([key, label]) => (
+              <label key={key} className="flex flex-col gap-1">
+                <span className="font-medium">{label} (one regex per line)</span>
+                <textarea
+                  rows={2}
+                  value={crawlSettings[key]}
+                  onChange={(e) => setCrawlSettings(settings => ({ ...settings, [key]: e.target.value }))}
+                  className="px-2 py-1 font-mono text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </label>
+            ))}
+          </div>
+          {crawlError && <p className="text-red-600">{crawlError}</p>}
+          {(crawling || crawlPages.length > 0) && (
+            <div className="space-y-2 text-gray-900 dark:text-gray-100">
+              <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded">
+                <div
+                  className="h-2 bg-blue-600 rounded"
+                  style={{ width: `${crawlSummary ? 100 : Math.min(100, (crawlPages.length / Number(crawlSettings.maxPages || 1)) * 100)}%` }}
+                />
+              </div>
+              <p>
+                {crawlPages.length} page{crawlPages.length === 1 ? '' : 's'} crawled
+                {crawlSummary && ` · ${crawlSummary.pagesFailed} failed · ${crawlSummary.urlsQueued} left in queue · stopped: ${crawlSummary.stopReason} · ${(crawlSummary.durationMs / 1000).toFixed(1)} s`}
+              </p>
+              <div className="max-h-72 overflow-auto">
+                <table className="w-full text-left text-xs">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-1 pr-2">Depth</th>
+                      <th className="py-1 pr-2">Status</th>
+                      <th className="py-1 pr-2">URL</th>
+                      <th className="py-1">Title</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {crawlPages.map((page) => (
+                      <tr key={page.url} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                        <td className="py-1 pr-2">{page.depth}</td>
+                        <td className={`py-1 pr-2 ${page.error ? 'text-red-600' : ''}`}>{page.status ?? '—'}</td>
+                        <td className="py-1 pr-2 font-mono break-all">{page.finalUrl || page.url}</td>
+                        <td className="py-1">{page.error || page.title}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Batch Scrape */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 mb-6 space-y-3 text-sm">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Batch Scrape</h2>
+            <div className="flex gap-2">
+              {batchResults.length > 0 && !batching && (
+                <button
+                  onClick={handleDownloadBatch}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+                >
+                  <Download className="w-4 h-4" />
+                  Download .json
+                </button>
+              )}
+              <button
+                onClick={handleBatch}
+                disabled={batching || loading}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+              >
+                {batching && <Loader2 className="w-4 h-4 animate-spin" />}
+                {batching ? 'Scraping...' : 'Scrape All'}
+              </button>
+            </div>
+          </div>
+          <textarea
+            rows={4}
+            value={batchText}
+            onChange={(e) => setBatchText(e.target.value)}
+            placeholder="One URL per line, or comma-separated"
+            className="w-full px-2 py-1 font-mono text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          />
+          <div className="flex items-center gap-3 text-gray-700 dark:text-gray-300">
+            <label className="font-medium">
+              Upload .txt or .csv:{' '}
+              <input type="file" accept=".txt,.csv,text/plain,text/csv" onChange={handleBatchFile} className="text-xs" />
+            </label>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{parseUrlList(batchText).length} URLs</span>
+          </div>
+          {batchError && <p className="text-red-600">{batchError}</p>}
+          {(batching || batchResults.length > 0) && (
+            <div className="space-y-2 text-gray-900 dark:text-gray-100">
+              <div className="w-full h-2 bg-gray-200 dark:bg-gray-700 rounded">
+                <div
+                  className="h-2 bg-blue-600 rounded"
+                  style={{ width: `${batchTotal ? (batchResults.length / batchTotal) * 100 : 0}%` }}
+                />
+              </div>
+              <p>
+                {batchResults.length} / {batchTotal} done
+                {' · '}{batchResults.filter(result => result.ok).length} succeeded
+                {' · '}{batchResults.filter(result => !result.ok).length} failed
+              </p>
+              <div className="max-h-72 overflow-auto">
+                <table className="w-full text-left text-xs">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="py-1 pr-2">Result</th>
+                      <th className="py-1 pr-2">Status</th>
+                      <th className="py-1 pr-2">URL</th>
+                      <th className="py-1 pr-2">Title</th>
+                      <th className="py-1">Size</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {batchResults.map((result, index) => (
+                      <tr key={index} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                        <td className={`py-1 pr-2 ${result.ok ? 'text-green-600' : 'text-red-600'}`}>{result.ok ? 'OK' : 'Failed'}</td>
+                        <td className="py-1 pr-2">{result.status ?? '—'}</td>
+                        <td className="py-1 pr-2 font-mono break-all">{result.finalUrl || result.url}</td>
+                        <td className="py-1 pr-2">{result.ok ? result.title : result.error}</td>
+                        <td className="py-1">{result.size ? `${(result.size / 1024).toFixed(1)} KB` : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Page Monitor */}
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6 mb-6 space-y-3 text-sm">
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Page Monitor</h2>
+            <button
+              onClick={handleAddWatch}
+              disabled={watchBusy !== ''}
+              className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+            >
+              {watchBusy === 'new' && <Loader2 className="w-4 h-4 animate-spin" />}
+              Watch URL
+            </button>
+          </div>
+          <div className="grid grid-cols-3 gap-3 text-gray-700 dark:text-gray-300">
+            <label className="space-y-1">
+              <span className="font-medium">Compare only (CSS selector)</span>
+              <input
+                type="text"
+                value={watchSettings.selector}
+                onChange={(e) => setWatchSettings({ ...watchSettings, selector: e.target.value })}
+                placeholder="main"
+                className="w-full px-2 py-1 font-mono text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="font-medium">Ignore (comma-separated selectors)</span>
+              <input
+                type="text"
+                value={watchSettings.ignore}
+                onChange={(e) => setWatchSettings({ ...watchSettings, ignore: e.target.value })}
+                placeholder=".ad, time"
+                className="w-full px-2 py-1 font-mono text-xs border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </label>
+            <label className="space-y-1">
+              <span className="font-medium">Check every (minutes)</span>
+              <input
+                type="number"
+                min={5}
+                max={1440}
+                value={watchSettings.intervalMinutes}
+                onChange={(e) => setWatchSettings({ ...watchSettings, intervalMinutes: e.target.value })}
+                className="w-full px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </label>
+          </div>
+          {watchError && <p className="text-red-600">{watchError}</p>}
+          {watches.length > 0 && (
+            <div className="max-h-72 overflow-auto text-gray-900 dark:text-gray-100">
+              <table className="w-full text-left text-xs">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="py-1 pr-2">URL</th>
+                    <th className="py-1 pr-2">Every</th>
+                    <th className="py-1 pr-2">Last checked</th>
+                    <th className="py-1 pr-2">Last change</th>
+                    <th className="py-1 pr-2">Changes</th>
+                    <th className="py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {watches.map((watch) => (
+                    <tr key={watch.id} className={`border-b border-gray-100 dark:border-gray-700 align-top ${selectedWatch?.id === watch.id ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}>
+                      <td className="py-1 pr-2 font-mono break-all">
+                        {watch.url}
+                        {watch.selector && <span className="text-gray-500"> ({watch.selector})</span>}
+                        {watch.lastError && <p className="text-red-600 font-sans">{watch.lastError}</p>}
+                      </td>
+                      <td className="py-1 pr-2">{watch.intervalMinutes} min</td>
+                      <td className="py-1 pr-2">{watch.lastCheckedAt ? new Date(watch.lastCheckedAt).toLocaleString() : '—'}</td>
+                      <td className="py-1 pr-2">{watch.lastChangeAt ? new Date(watch.lastChangeAt).toLocaleString() : '—'}</td>
+                      <td className="py-1 pr-2">{watch.changes.length}</td>
+                      <td className="py-1 whitespace-nowrap space-x-2">
+                        {watchBusy === watch.id && <Loader2 className="inline w-3 h-3 animate-spin" />}
+                        <button onClick={() => runWatchAction(watch.id, () => openWatch(watch.id))} disabled={watchBusy !== ''} className="text-blue-600 hover:underline">Versions</button>
+                        <button onClick={() => handleCheckWatch(watch.id)} disabled={watchBusy !== ''} className="text-blue-600 hover:underline">Check now</button>
+                        <button onClick={() => handleRemoveWatch(watch.id)} disabled={watchBusy !== ''} className="text-red-600 hover:underline">Remove</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {selectedWatch && (
+            <div className="space-y-2 text-gray-900 dark:text-gray-100">
+              <h3 className="font-medium break-all">Versions of {selectedWatch.url}</h3>
+              {selectedWatch.snapshots.length < 2 ? (
+                <p className="text-gray-500 dark:text-gray-400">Only one version so far. A diff appears once the page changes.</p>
+              ) : (
+                <>
+                  <div className="flex flex-wrap gap-3 items-center">
+                    {[['from', 'From'], ['to', 'To']].map(([key, label]) => (
+                      <label key={key} className="flex items-center gap-2">
+                        <span className="font-medium">{label}</span>
+                        <select
+                          value={diffRange[key]}
+                          onChange={(e) => handleDiffRange(key, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                        >
+                          {selectedWatch.snapshots.map((snapshot) => (
+                            <option key={snapshot.id} value={snapshot.id}>{new Date(snapshot.capturedAt).toLocaleString()}</option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                    {snapshotDiff && (
+                      <span>
+                        <span className="text-green-600">+{snapshotDiff.stats.added}</span>{' '}
+                        <span className="text-red-600">-{snapshotDiff.stats.removed}</span> lines
+                      </span>
+                    )}
+                  </div>
+                  {snapshotDiff && (
+                    <div className="max-h-96 overflow-auto font-mono text-xs border border-gray-200 dark:border-gray-700 rounded py-1">
+                      {snapshotDiff.changed ? renderDiffHunks(snapshotDiff.hunks) : (
+                        <p className="px-2 text-gray-500 dark:text-gray-400">No differences in the watched part of the page.</p>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
         {/* Results Section */}
         {html && (
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-lg p-6">
@@ -218,13 +1051,23 @@ function App() {
                   <p className="text-sm">{warning}</p>
                   {isJsRendered && (
                     <p className="text-sm mt-1">
-                      💡 For complete content, consider using a tool that supports JavaScript rendering like Puppeteer.
+                      💡 For complete content, switch to Dynamic mode to render the page with Puppeteer.
                     </p>
                   )}
                 </div>
               </div>
             )}
             
+            {/* How auto mode loaded the page */}
+            {loadMethod && (
+              <div className="mb-4 p-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg text-blue-700 dark:text-blue-300">
+                <p className="text-sm font-medium">
+                  {loadMethod.method === 'puppeteer' ? '⚡ Rendered with Puppeteer' : '🚀 Fetched as static HTML'}
+                </p>
+                {loadMethod.reason && <p className="text-xs mt-1">{loadMethod.reason}</p>}
+              </div>
+            )}
+            
             <div className="flex justify-between items-center mb-4">
               <h2 className="text-xl font-semibold text-gray-900 dark:text-white">
                 Scraped HTML
@@ -242,7 +1085,7 @@ function App() {
                   className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
                 >
                   <Download className="w-4 h-4" />
-                  Download .html
+                  {download.label}
                 </button>
                 <button
                   onClick={handleClear}
@@ -269,12 +1112,54 @@ function App() {
                 >
                   Preview
                 </button>
+                <button 
+                  onClick={() => setActiveTab('markdown')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'markdown' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Markdown
+                </button>
+                <button 
+                  onClick={() => setActiveTab('text')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'text' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Text
+                </button>
+                <button 
+                  onClick={() => setActiveTab('readable')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'readable' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Readable
+                </button>
                 <button 
                   onClick={() => setActiveTab('analysis')}
                   className={`px-4 py-2 text-sm font-medium ${activeTab === 'analysis' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
                 >
                   Analysis Report
                 </button>
+                <button 
+                  onClick={() => setActiveTab('links')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'links' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Links
+                </button>
+                <button 
+                  onClick={() => setActiveTab('response')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'response' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Response
+                </button>
+                <button 
+                  onClick={() => setActiveTab('network')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'network' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Network
+                </button>
+                <button 
+                  onClick={() => setActiveTab('extraction')}
+                  className={`px-4 py-2 text-sm font-medium ${activeTab === 'extraction' ? 'text-blue-600 border-b-2 border-blue-600 bg-white dark:bg-gray-800' : 'text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300'}`}
+                >
+                  Extraction
+                </button>
               </div>
               
               {/* Content Area */}
@@ -299,6 +1184,34 @@ function App() {
                 </div>
               )}
               
+              {(activeTab === 'markdown' || activeTab === 'text') && (
+                readable ? (
+                  <textarea
+                    readOnly
+                    value={activeTab === 'markdown' ? readable.markdown : readable.text}
+                    rows={20}
+                    className="w-full p-4 text-sm font-mono text-gray-900 dark:text-gray-100 resize-y bg-transparent border-0 focus:ring-0"
+                  />
+                ) : (
+                  <p className="p-4 text-sm text-gray-500 dark:text-gray-400">Readable output is not available for this scrape.</p>
+                )
+              )}
+              
+              {activeTab === 'readable' && (
+                readable ? (
+                  <div className="p-4 h-96 overflow-auto">
+                    <iframe
+                      srcDoc={readable.readableHtml}
+                      className="w-full h-full border-0 bg-white"
+                      title="Readable Preview"
+                      sandbox=""
+                    />
+                  </div>
+                ) : (
+                  <p className="p-4 text-sm text-gray-500 dark:text-gray-400">Readable output is not available for this scrape.</p>
+                )
+              )}
+              
               {activeTab === 'analysis' && contentAnalysis && (
                 <div className="p-4 space-y-4">
                   <div className="grid grid-cols-2 gap-4">
@@ -326,12 +1239,252 @@ function App() {
                       <p className="text-sm text-gray-600 dark:text-gray-300">{contentAnalysis.description}</p>
                     </div>
                   )}
+                  {contentAnalysis.metadata && renderMetadataReport(contentAnalysis.metadata)}
+                </div>
+              )}
+              
+              {activeTab === 'links' && (
+                <div className="p-4 space-y-3 text-sm text-gray-900 dark:text-gray-100">
+                  {links ? (
+                    <>
+                      <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                        {['total', 'internal', 'external', 'mailto', 'tel', 'anchor', 'other', 'nofollow', 'sponsored', 'ugc'].map((key) => (
+                          <span key={key}><span className="font-medium capitalize">{key}:</span> {links.summary[key]}</span>
+                        ))}
+                        {links.summary.checked !== undefined && (
+                          <span>
+                            <span className="font-medium">Checked:</span> {links.summary.checked}
+                            {' · '}<span className="font-medium text-red-600">Broken:</span> {links.summary.broken}
+                            {' · '}<span className="font-medium">Blocked:</span> {links.summary.blocked}
+                            {' · '}<span className="font-medium">Unchecked:</span> {links.summary.unchecked}
+                          </span>
+                        )}
+                        <button
+                          onClick={handleCheckLinks}
+                          disabled={checkingLinks}
+                          className="ml-auto px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+                        >
+                          {checkingLinks ? 'Checking...' : 'Check links'}
+                        </button>
+                      </div>
+                      {linkError && <p className="text-red-600">{linkError}</p>}
+                      <div className="max-h-96 overflow-auto">
+                        <table className="w-full text-left text-xs">
+                          <thead>
+                            <tr className="border-b border-gray-200 dark:border-gray-700">
+                              <th className="py-1 pr-2">Type</th>
+                              <th className="py-1 pr-2">URL</th>
+                              <th className="py-1 pr-2">Text</th>
+                              <th className="py-1 pr-2">Rel</th>
+                              <th className="py-1">Status</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {links.items.map((link, index) => (
+                              <tr key={index} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                                <td className="py-1 pr-2">{link.type}</td>
+                                <td className="py-1 pr-2 font-mono break-all">{link.url || link.href}</td>
+                                <td className="py-1 pr-2">{link.text}</td>
+                                <td className="py-1 pr-2">{link.rel.join(' ')}</td>
+                                <td className={`py-1 ${link.check && link.check.ok === false ? 'text-red-600' : ''}`}>
+                                  {link.check ? (link.check.status ?? link.check.error) : '—'}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="text-gray-500 dark:text-gray-400">The link report is not available for this scrape.</p>
+                  )}
+                </div>
+              )}
+              
+              {activeTab === 'response' && (
+                <div className="p-4 space-y-4 text-sm text-gray-900 dark:text-gray-100">
+                  {responseInfo ? (
+                    <>
+                      <div className="space-y-1">
+                        <h4 className="font-medium text-gray-900 dark:text-white">Final Response</h4>
+                        <p><span className="font-medium">Status:</span> {responseInfo.status}</p>
+                        <p className="break-all"><span className="font-medium">Final URL:</span> {responseInfo.finalUrl}</p>
+                        {responseInfo.encoding && (
+                          <p><span className="font-medium">Encoding:</span> {responseInfo.encoding.name} (from {responseInfo.encoding.source})</p>
+                        )}
+                        {responseInfo.cached !== null && (
+                          <p><span className="font-medium">Cache:</span> {responseInfo.cached ? `hit (${responseInfo.age}s old)` : 'miss'}</p>
+                        )}
+                      </div>
+                      {responseInfo.redirects.length > 0 && (
+                        <div className="space-y-1">
+                          <h4 className="font-medium text-gray-900 dark:text-white">Redirect Chain</h4>
+                          <ol className="list-decimal list-inside space-y-1">
+                            {responseInfo.redirects.map((hop, index) => (
+                              <li key={index} className="break-all">
+                                <span className="font-mono">{hop.status}</span> {hop.url} → {hop.location}
+                              </li>
+                            ))}
+                          </ol>
+                        </div>
+                      )}
+                      {responseInfo.timing && (
+                        <div className="space-y-1">
+                          <h4 className="font-medium text-gray-900 dark:text-white">Timing</h4>
+                          <div className="grid grid-cols-3 gap-2">
+                            {['dns', 'connect', 'tls', 'ttfb', 'download', 'total'].map((phase) => (
+                              <p key={phase}>
+                                <span className="font-medium uppercase">{phase}:</span>{' '}
+                                {responseInfo.timing[phase] == null ? '—' : `${responseInfo.timing[phase]} ms`}
+                              </p>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      <div className="space-y-1">
+                        <h4 className="font-medium text-gray-900 dark:text-white">Response Headers</h4>
+                        <div className="font-mono text-xs space-y-1">
+                          {Object.entries(responseInfo.headers).map(([name, value]) => (
+                            <p key={name} className="break-all">
+                              <span className="font-semibold">{name}:</span> {Array.isArray(value) ? value.join(', ') : value}
+                            </p>
+                          ))}
+                        </div>
+                      </div>
+                    </>
+                  ) : (
+                    <p className="text-gray-500 dark:text-gray-400">Response details are not available for this scrape.</p>
+                  )}
+                </div>
+              )}
+              
+              {activeTab === 'network' && (
+                <div className="p-4 space-y-3 text-sm text-gray-900 dark:text-gray-100">
+                  {network ? (
+                    <>
+                      <div className="flex justify-between items-center">
+                        <p>
+                          {network.entries.length} requests, {network.jsonResponses.length} JSON responses captured
+                        </p>
+                        <button
+                          onClick={() => downloadFile(JSON.stringify(network.har, null, 2), 'page.har', 'application/json')}
+                          className="flex items-center gap-2 px-3 py-1 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300 rounded-lg transition-colors duration-200"
+                        >
+                          <Download className="w-4 h-4" />
+                          Download .har
+                        </button>
+                      </div>
+                      <div className="max-h-72 overflow-auto">
+                        <table className="w-full text-left text-xs">
+                          <thead>
+                            <tr className="border-b border-gray-200 dark:border-gray-700">
+                              <th className="py-1 pr-2">Method</th>
+                              <th className="py-1 pr-2">Status</th>
+                              <th className="py-1 pr-2">Type</th>
+                              <th className="py-1 pr-2">URL</th>
+                              <th className="py-1 pr-2">Size</th>
+                              <th className="py-1 pr-2">Time</th>
+                              <th className="py-1"></th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {network.entries.map((entry, index) => {
+                              const json = network.jsonResponses.find(captured => captured.url === entry.request.url)
+                              return (
+                                <tr key={index} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                                  <td className="py-1 pr-2 font-mono">{entry.request.method}</td>
+                                  <td className={`py-1 pr-2 ${entry._error || entry.response.status >= 400 ? 'text-red-600' : ''}`}>
+                                    {entry._error ? 'failed' : entry.response.status || '—'}
+                                  </td>
+                                  <td className="py-1 pr-2">{entry._resourceType}</td>
+                                  <td className="py-1 pr-2 font-mono break-all" title={entry._error || ''}>{entry.request.url}</td>
+                                  <td className="py-1 pr-2 whitespace-nowrap">{entry.response.content.size >= 0 ? `${(entry.response.content.size / 1024).toFixed(1)} KB` : '—'}</td>
+                                  <td className="py-1 pr-2 whitespace-nowrap">{Math.round(entry.time)} ms</td>
+                                  <td className="py-1">
+                                    {json && (
+                                      <button onClick={() => setSelectedJson(json)} className="text-blue-600 hover:underline whitespace-nowrap">View JSON</button>
+                                    )}
+                                  </td>
+                                </tr>
+                              )
+                            })}
+                          </tbody>
+                        </table>
+                      </div>
+                      {selectedJson && (
+                        <div className="space-y-1">
+                          <h4 className="font-medium break-all">{selectedJson.method} {selectedJson.url}</h4>
+                          {selectedJson.body !== null ? (
+                            <pre className="max-h-96 overflow-auto p-2 font-mono text-xs bg-gray-50 dark:bg-gray-900 rounded">{JSON.stringify(selectedJson.body, null, 2)}</pre>
+                          ) : (
+                            <p className="text-gray-500 dark:text-gray-400">
+                              {selectedJson.truncated ? `Body not captured: ${selectedJson.size} bytes is over the size limit.` : selectedJson.error}
+                            </p>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  ) : (
+                    <p className="text-gray-500 dark:text-gray-400">Network traffic is recorded for dynamic mode scrapes.</p>
+                  )}
+                </div>
+              )}
+              
+              {activeTab === 'extraction' && (
+                <div className="p-4 space-y-3 text-sm">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select
+                      value=""
+                      onChange={(e) => {
+                        const saved = recipes.find(recipe => recipe.name === e.target.value)
+                        if (saved) setRecipeText(JSON.stringify(saved.definition, null, 2))
+                      }}
+                      className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700 dark:text-white"
+                    >
+                      <option value="">Load saved recipe…</option>
+                      {recipes.map(recipe => (
+                        <option key={recipe.name} value={recipe.name}>{recipe.name}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handleDownloadRecipe}
+                      className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition-colors duration-200 flex items-center gap-2"
+                    >
+                      <Download className="w-4 h-4" />
+                      Download recipe
+                    </button>
+                    <span className="text-xs text-gray-500 dark:text-gray-400">
+                      Save downloaded recipes in <code>recipes/</code> to use them with <code>?recipe=name</code>
+                    </span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <textarea
+                      value={recipeText}
+                      onChange={(e) => setRecipeText(e.target.value)}
+                      rows={18}
+                      spellCheck={false}
+                      className="w-full p-3 font-mono text-xs text-gray-900 dark:text-gray-100 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg resize-y"
+                    />
+                    <div className="space-y-2">
+                      {recipeError && (
+                        <div className="p-2 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg text-red-700 dark:text-red-400 text-xs">
+                          {recipeError}
+                        </div>
+                      )}
+                      <pre className="p-3 font-mono text-xs text-gray-900 dark:text-gray-100 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg overflow-auto max-h-96">
+                        {recipeResult ? JSON.stringify(recipeResult, null, 2) : 'Extracted data will appear here...'}
+                      </pre>
+                    </div>
+                  </div>
                 </div>
               )}
             </div>
 
             <div className="mt-3 text-sm text-gray-500 dark:text-gray-400">
               {html.length.toLocaleString()} characters • {Math.round(html.length / 1024)} KB
+              {readable && (
+                <> • {readable.article.wordCount.toLocaleString()} words • {readable.article.readingTimeMinutes} min read</>
+              )}
             </div>
           </div>
         )}